@@ -3,37 +3,107 @@
  * ------
  * Main entry point for the portfolio site.
  * Orchestrates loading, scene creation, smooth scrolling (Lenis),
- * scroll animations (GSAP + ScrollTrigger), cursor tracking,
- * magnetic effects, audio, and the animation loop.
+ * scroll animations (GSAP + ScrollTrigger), cursor/touch/tilt input,
+ * magnetic effects, audio, reduced motion, the light/dark theme, the
+ * background preset, the debug panel and the animation loop.
+ *
+ * The loader counts real work -- fonts, the Three.js modules, shader
+ * compilation and the first frame -- rather than a fixed time.
+ *
+ * startExperience() / stopExperience() are exported so the whole experience
+ * can be torn down and booted again (hot reload, client-side navigation)
+ * without leaking listeners, animation frames or WebGL contexts.
+ *
+ * `?seed=<integer>` seeds the scene, audio and text scramble (random.js);
+ * with getScene().renderAt() that gives reproducible frames for snapshots.
  *
  * Depends on:
  *   - Lenis (loaded globally via CDN <script> tag)
  *   - gsap + ScrollTrigger (loaded globally via CDN <script> tags)
+ *     Each of the three is optional: they are handed to ScrollManager and
+ *     fx.js as `engines`, which fall back to native scrolling,
+ *     IntersectionObserver and CSS transitions for whatever is missing.
  *   - Three.js (loaded via importmap)
- *   - Local ES modules: scene.js, scroll.js, fx.js, audio.js
+ *   - Local ES modules: scene.js, worker-scene.js, fallback-scene.js,
+ *     scroll.js, fx.js, audio.js, motion.js, input.js, preview-slots.js,
+ *     background-preset.js, theme.js, debug-panel.js, random.js
  */
 
-import { Scene } from './scene.js';
+import { FallbackScene } from './fallback-scene.js';
 import { ScrollManager } from './scroll.js';
 import { Cursor, TextScramble, initTiltCards, initRevealAnimations, initMagnetic } from './fx.js';
 import { AudioManager } from './audio.js';
+import { MotionPreference } from './motion.js';
+import { BackgroundPreset } from './background-preset.js';
+import { ThemePreference, readSceneTheme } from './theme.js';
+import { PointerInput } from './input.js';
+import { PreviewSlots } from './preview-slots.js';
+import { DebugPanel } from './debug-panel.js';
+import { seedFromURL } from './random.js';
+
+// The theme is resolved before anything else: the Three.js import below can
+// take a while on a slow CDN, and the page shouldn't sit in the wrong
+// colours meanwhile
+const theme = new ThemePreference(document.getElementById('theme-toggle'));
+
+// The Three.js renderers are loaded dynamically: 'three' comes from a CDN
+// through the import map, and a static import would take the whole page
+// down with it if that fails. FallbackScene takes over instead. Not awaited
+// here -- the loader (section 3) counts it as one of its steps
+let Scene = null;
+let WorkerScene = null;
+const renderersLoaded = Promise.all([
+    import('./scene.js'),
+    import('./worker-scene.js')
+]).then(([sceneModule, workerModule]) => {
+    Scene = sceneModule.Scene;
+    WorkerScene = workerModule.WorkerScene;
+}).catch((err) => {
+    console.error('app.js: Failed to load Three.js -- using the static background.', err);
+});
 
 // ===================================
 // 1. DOM REFERENCES
 // ===================================
-const canvas         = document.getElementById('bg');
 const loader         = document.getElementById('loader');
 const loaderCounter  = document.getElementById('loader-counter');
 const loaderProgress = document.getElementById('loader-progress');
 const audioToggle    = document.getElementById('audio-toggle');
+const motionToggle   = document.getElementById('motion-toggle');
+const backgroundToggle = document.getElementById('background-toggle');
+
+// Reduced-motion mode is resolved up front so the stylesheet gets its
+// .reduced-motion class before anything animates
+const motion = new MotionPreference(motionToggle);
+
+// Background shader preset (?background=<name>, or the toggle button)
+const background = new BackgroundPreset(backgroundToggle);
+
+// Seed for everything random on screen (?seed=<integer>), or null
+const seed = seedFromURL();
+
+// Click targets that are background rather than content: clicks on these
+// reach the wireframes behind them (see l. below)
+const BACKGROUND_TARGETS = 'html, body, #main, #bg, section, .section-inner';
 
 // ===================================
 // 2. EXPERIENCE BOOTSTRAP
 // ===================================
-// Called once the loading counter reaches 100 and the loader fades out.
-// Creates and wires together every subsystem.
+// Called by the loader once the fonts and the Three.js renderers are in,
+// behind the loader (the scene's shaders and first frame are loader steps
+// too). Creates and wires together every subsystem. Called before the
+// renderers have loaded, it uses FallbackScene.
 
-function startExperience() {
+// Handles of the running experience (null while stopped), used by
+// stopExperience() to tear it down
+let experience = null;
+
+export function startExperience() {
+    // Starting twice would double every listener and render loop
+    if (experience) stopExperience();
+
+    // Looked up on every start -- stopExperience() swaps in a fresh element
+    let canvas = document.getElementById('bg');
 
     // ---------------------------------------------------
     // a. Create Lenis smooth scroll instance
@@ -46,7 +116,9 @@ function startExperience() {
             lenis = new Lenis({
                 duration: 1.2,
                 easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
-                smoothWheel: true,
+                // Native scrolling in reduced-motion mode (ScrollManager
+                // keeps this in sync if the mode changes later)
+                smoothWheel: !motion.reduced,
             });
         } else {
             console.warn('app.js: Lenis not found on window -- smooth scrolling disabled.');
@@ -55,61 +127,113 @@ function startExperience() {
         console.error('app.js: Failed to initialise Lenis.', err);
     }
 
+    // The animation and scroll engines, injected into ScrollManager and the
+    // fx helpers -- null for any CDN script that failed to load
+    const engines = {
+        lenis,
+        gsap: typeof gsap !== 'undefined' ? gsap : null,
+        ScrollTrigger: typeof ScrollTrigger !== 'undefined' ? ScrollTrigger : null,
+    };
+    if (!engines.gsap || !engines.ScrollTrigger) {
+        console.warn('app.js: gsap/ScrollTrigger not found on window -- using native scroll animations.');
+    }
+
     // ---------------------------------------------------
     // b. Create the Three.js scene (wrapped in try/catch
-    //    in case Three.js failed to load from the CDN)
+    //    in case WebGL is unavailable). Rendered in a
+    //    worker where OffscreenCanvas is supported
+    //    (WorkerScene falls back to the main thread by
+    //    itself); ?render=main forces the main-thread
+    //    path. Without Three.js or WebGL, FallbackScene
+    //    paints a Canvas2D approximation instead.
     // ---------------------------------------------------
-    let scene;
-    try {
-        if (!canvas) {
-            console.warn('app.js: #bg canvas element not found -- skipping 3D scene.');
+    let scene = null;
+    const sceneOptions = { background: background.preset, seed };
+    if (!canvas) {
+        console.warn('app.js: #bg canvas element not found -- skipping 3D scene.');
+    }
+
+    if (Scene) {
+        const renderInWorker = WorkerScene.isSupported() &&
+            new URLSearchParams(window.location.search).get('render') !== 'main';
+
+        try {
+            scene = renderInWorker ? new WorkerScene(canvas, sceneOptions) : new Scene(canvas, sceneOptions);
+        } catch (err) {
+            console.error('app.js: Failed to initialise 3D scene -- using the static background.', err);
         }
-        scene = new Scene(canvas);
-    } catch (err) {
-        console.error('app.js: Failed to initialise 3D scene.', err);
-        // Provide a harmless stub so the rest of the page still works
-        scene = {
-            setMouse() {},
-            setVelocity() {},
-            update() {},
-            resize() {}
-        };
     }
 
+    if (!scene) {
+        // A failed WebGL attempt may have claimed the canvas' context, so
+        // draw on a fresh element
+        if (canvas && Scene) {
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            canvas = fresh;
+        }
+        scene = new FallbackScene(canvas, sceneOptions);
+    }
+
+    // Keep the scene in step with the reduced-motion mode
+    scene.setReducedMotion(motion.reduced);
+    const unsubscribeMotion = motion.onChange((reduced) => scene.setReducedMotion(reduced));
+
+    // ...and crossfade when another background preset is picked
+    const unsubscribeBackground = background.onChange((preset) => scene.configure({ background: preset }));
+
+    // The theme's colours live in the stylesheet; re-read them on every switch
+    scene.setTheme(readSceneTheme());
+    const unsubscribeTheme = theme.onChange(() => scene.setTheme(readSceneTheme()));
+
     // ---------------------------------------------------
     // c. Set initial reveal states (must happen before
     //    ScrollManager so GSAP "from" values are in place)
     // ---------------------------------------------------
-    initRevealAnimations();
+    initRevealAnimations(engines);
 
     // ---------------------------------------------------
     // d. Create ScrollManager (registers all ScrollTriggers,
     //    connects Lenis to GSAP, and sets up the hero
-    //    character entrance animation)
+    //    character entrance animation -- or their native
+    //    equivalents when GSAP is missing). The entrance
+    //    is held while the loader still covers the page;
+    //    the loader plays it as it fades out.
     // ---------------------------------------------------
-    const scroll = new ScrollManager(scene, lenis);
+    const holdEntrance = !!loader && !loader.classList.contains('loaded');
+    const scroll = new ScrollManager(scene, engines, motion, { holdEntrance });
 
     // ---------------------------------------------------
-    // e. Create the custom cursor
+    // e. Create the custom cursor (off on touch devices)
+    //    and the pointer input that drives the scene from
+    //    mouse, touch or device tilt. iOS only grants tilt
+    //    from a user gesture, so ask on the first touch.
     // ---------------------------------------------------
     const cursor = new Cursor();
+    const input = new PointerInput(motion);
+
+    const onFirstTouch = () => {
+        window.removeEventListener('touchend', onFirstTouch);
+        if (input.coarse) input.enableOrientation();
+    };
+    window.addEventListener('touchend', onFirstTouch);
 
     // ---------------------------------------------------
     // f. Initialise tilt-on-hover cards
     // ---------------------------------------------------
-    initTiltCards();
+    const cleanupTilt = initTiltCards(motion, engines);
 
     // ---------------------------------------------------
     // g. Initialise magnetic hover effects on nav dots,
-    //    audio toggle, and contact links
+    //    audio/motion toggles, and contact links
     // ---------------------------------------------------
-    initMagnetic();
+    const cleanupMagnetic = initMagnetic(motion, engines);
 
     // ---------------------------------------------------
     // h. Create the AudioManager (lazy -- no sound until
     //    the user clicks the toggle button)
     // ---------------------------------------------------
-    const audio = new AudioManager(audioToggle);
+    const audio = new AudioManager(audioToggle, seed);
 
     // ---------------------------------------------------
     // i. Text scramble on the hero subtitle
@@ -117,89 +241,294 @@ function startExperience() {
     //    stagger via .char spans now)
     // ---------------------------------------------------
     const heroSubtitle = document.getElementById('hero-subtitle');
+    let scrambler = null;
+    let scrambleTimeout = null;
     if (heroSubtitle) {
-        const scrambler = new TextScramble(heroSubtitle);
-        // Small delay so it starts after the char animations begin
-        setTimeout(() => scrambler.setText('AI / Embedded Systems / Backend Engineer'), 800);
+        scrambler = new TextScramble(heroSubtitle, motion, seed);
     }
 
+    // The hero entrance and the scramble that follows it,
+    // once -- now, or when the loader fades out
+    const playEntrance = () => {
+        scroll.playEntrance();
+
+        // Small delay so it starts after the char animations begin
+        if (scrambler && scrambleTimeout === null) {
+            scrambleTimeout = setTimeout(() => scrambler.setText('AI / Embedded Systems / Backend Engineer'), 800);
+        }
+    };
+    if (!holdEntrance) playEntrance();
+
     // ---------------------------------------------------
-    // j. Main animation loop
+    // j. Debug panel (?debug or Shift+Alt+D) -- stays
+    //    dormant until opened. Nothing to tune without a
+    //    canvas, so no panel then
     // ---------------------------------------------------
+    const debugPanel = scene.enabled ? new DebugPanel(scene, scroll, audio) : null;
+
+    // ---------------------------------------------------
+    // k. Main animation loop. Project cards with a
+    //    data-preview get a live 3D model, drawn by the
+    //    scene wherever the card is this frame.
+    // ---------------------------------------------------
+    const previewSlots = new PreviewSlots();
+    let frameId = null;
+
     function animate() {
-        requestAnimationFrame(animate);
+        frameId = requestAnimationFrame(animate);
 
-        // Feed the lerped cursor position into the scene
-        // so particles / camera react to the mouse
+        // Feed the pointer position (mouse, touch or tilt) into
+        // the scene so particles / camera react to it, and the
+        // audio's band energies so the visuals breathe with it
         cursor.update();
-        scene.setMouse(cursor.x, cursor.y);
+        input.update();
+        scene.setMouse(input.x, input.y);
+        scene.setAudioBands(audio.getBands());
+        previewSlots.update(scene);
         scene.update();
+        if (debugPanel) debugPanel.update();
     }
     animate();
 
+    // Resizes and pixel-ratio changes are handled by the
+    // scene itself (viewport.js)
+
     // ---------------------------------------------------
-    // k. Handle window resize
+    // l. Clickable wireframes. The canvas sits behind the
+    //    content, so clicks on bare background -- the page,
+    //    #main or a section's own box, never the text or
+    //    controls inside it -- are forwarded to the scene,
+    //    unless they ended a text selection. A hit jumps
+    //    to the wireframe's related section.
     // ---------------------------------------------------
-    window.addEventListener('resize', () => {
-        scene.resize(window.innerWidth, window.innerHeight);
-    });
+    const onDocumentClick = (e) => {
+        if (!e.target.matches(BACKGROUND_TARGETS)) return;
+        if (String(window.getSelection() || '').length) return;
+        scene.handleClick();
+    };
+    document.addEventListener('click', onDocumentClick);
+
+    const onWireframeClick = (e) => {
+        scroll.scrollToSection(e.detail.section);
+    };
+    if (canvas) {
+        canvas.addEventListener('wireframeclick', onWireframeClick);
+    }
 
     // ---------------------------------------------------
-    // l. Pause audio when the tab loses focus
+    // m. Pause audio when the tab loses focus
     // ---------------------------------------------------
-    document.addEventListener('visibilitychange', () => {
+    const onVisibilityChange = () => {
         if (document.hidden && audio.playing) {
             audio.stop();
         }
-    });
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    // ---------------------------------------------------
+    // n. Hidden capture shortcuts (for slides / social):
+    //    Shift+Alt+P -- PNG still at 2x the viewport
+    //    Shift+Alt+R -- 5 second WebM clip at 30fps
+    // ---------------------------------------------------
+    const onCaptureKey = (e) => {
+        if (!e.shiftKey || !e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.code !== 'KeyP' && e.code !== 'KeyR') return;
+        e.preventDefault();
+
+        const job = e.code === 'KeyP'
+            ? scene.capture({ scale: 2 }).then((blob) => downloadBlob(blob, 'background.png'))
+            : scene.record({ duration: 5, fps: 30 }).then((blob) => downloadBlob(blob, 'background.webm'));
+
+        console.info('app.js: ' + (e.code === 'KeyP' ? 'Capturing still...' : 'Recording 5s clip...'));
+        job.catch((err) => console.warn('app.js: Capture failed.', err));
+    };
+    window.addEventListener('keydown', onCaptureKey);
+
+    // ---------------------------------------------------
+    // o. Teardown -- undoes a. to n. in reverse order
+    // ---------------------------------------------------
+    experience = {
+        scene,
+        playEntrance,
+
+        stop() {
+            cancelAnimationFrame(frameId);
+
+            window.removeEventListener('keydown', onCaptureKey);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            if (canvas) canvas.removeEventListener('wireframeclick', onWireframeClick);
+            document.removeEventListener('click', onDocumentClick);
+
+            if (debugPanel) debugPanel.destroy();
+
+            clearTimeout(scrambleTimeout);
+            if (scrambler) scrambler.stop();
+
+            audio.destroy();
+            cleanupMagnetic();
+            cleanupTilt();
+            window.removeEventListener('touchend', onFirstTouch);
+            input.destroy();
+            cursor.destroy();
+            scroll.destroy();
+
+            unsubscribeBackground();
+            unsubscribeTheme();
+            unsubscribeMotion();
+            scene.destroy();
+            if (lenis) lenis.destroy();
+
+            // The canvas' context has been released for good (or the canvas
+            // was transferred to a worker) -- the next scene needs a new
+            // element. Look it up again: a WorkerScene fallback may have
+            // swapped it already.
+            const current = document.getElementById('bg');
+            if (current) current.replaceWith(current.cloneNode(false));
+        }
+    };
+}
+
+/**
+ * Saves a Blob as a file through a temporary download link.
+ * @param {Blob}   blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * The running scene (Scene, WorkerScene or FallbackScene), or null while
+ * stopped. Lets a headless snapshot drive it, e.g. with `?seed=1`:
+ *   (await import('./js/app.js')).getScene().renderAt({ time: 2, scroll: 0.5 })
+ * @returns {Object|null}
+ */
+export function getScene() {
+    return experience ? experience.scene : null;
+}
+
+/**
+ * Tears down everything startExperience() created: cancels the animation
+ * loop, removes every listener, reverts the scroll animations and releases
+ * the WebGL context. startExperience() can be called again afterwards.
+ */
+export function stopExperience() {
+    if (!experience) return;
+
+    experience.stop();
+    experience = null;
 }
 
 // ===================================
 // 3. LOADING SEQUENCE
 // ===================================
-// Animates a counter from 0 to 100 with an eased progression,
-// updates the loader UI, then fades out the loader overlay
-// and boots the experience.
+// The counter reports real readiness, one LOAD_STEPS share per step: web
+// fonts (document.fonts), the Three.js module graph, shader compilation
+// (scene.compile()) and the first rendered frame (scene.firstFrame()).
+// The experience starts behind the loader as soon as the fonts and the
+// renderers are in -- the last two steps need the scene -- and the loader
+// fades out once the counter reaches 100.
 //
-// gsap is expected as a global (loaded via CDN script tag).
+// The loader stays up for at least LOADER_MIN_MS, so a fast load doesn't
+// flash it, and at most LOADER_MAX_MS: past that the page is shown with
+// whatever is ready (the static background if Three.js hasn't arrived).
+
+// Share of the counter each step is worth (adds up to 100)
+const LOAD_STEPS = { fonts: 15, renderers: 45, shaders: 25, frame: 15 };
+
+const LOADER_MIN_MS = 800;
+const LOADER_MAX_MS = 10000;
+
+// How long a full counter lingers on screen before the fade-out
+const LOADER_LINGER_MS = 300;
+
+// The fade-out itself (#loader.loaded in style.css)
+const LOADER_FADE_MS = 800;
 
 (function kickOffLoading() {
-    // Guard: if gsap is missing fall back to an instant start
-    if (typeof gsap === 'undefined') {
-        console.warn('app.js: gsap not found on window -- skipping loader animation.');
-        if (loader) loader.classList.add('loaded');
+    const fontsLoaded = document.fonts ? document.fonts.ready : Promise.resolve();
+
+    // Starts the experience once, whichever comes first: everything it
+    // needs, or the loader giving up
+    let started = false;
+    const start = () => {
+        if (started) return;
+        started = true;
         startExperience();
-        return;
-    }
+    };
+
+    const booted = Promise.all([fontsLoaded, renderersLoaded]).then(start).catch((err) => {
+        console.error('app.js: Failed to start the experience.', err);
+    });
 
-    // Guard: if loader DOM elements are missing, start immediately
+    // Guard: if loader DOM elements are missing, start as soon as possible
     if (!loader || !loaderCounter || !loaderProgress) {
-        console.warn('app.js: Loader DOM elements not found -- skipping loader animation.');
-        startExperience();
+        console.warn('app.js: Loader DOM elements not found -- skipping the loader.');
+        if (loader) loader.classList.add('loaded');
         return;
     }
 
-    // Proxy object for gsap to tween
-    const loadProgress = { value: 0 };
-
-    gsap.to(loadProgress, {
-        value: 100,
-        duration: 2.5,
-        ease: 'power2.inOut',
-        onUpdate() {
-            const val = Math.round(loadProgress.value);
-            loaderCounter.textContent = val;
-            loaderProgress.style.width = val + '%';
-        },
-        onComplete() {
-            // Brief pause so the "100" lingers on screen
-            gsap.delayedCall(0.3, () => {
-                // Adding the 'loaded' class triggers the CSS fade-out transition
-                loader.classList.add('loaded');
-
-                // Wait for the CSS transition to finish (~0.8s) then boot
-                gsap.delayedCall(0.8, startExperience);
-            });
-        }
+    // Finished steps, and the counter easing toward them
+    let progress = 0;
+    let shown = 0;
+    let frameId = null;
+    let resolveFull;
+    const counterFull = new Promise((resolve) => { resolveFull = resolve; });
+
+    // A step is finished either way -- a failure is logged, and the page
+    // makes do (the first frame compiles what compile() couldn't)
+    const track = (promise, step) => {
+        promise
+            .catch((err) => console.warn(`app.js: Loading step "${step}" failed.`, err))
+            .then(() => { progress += LOAD_STEPS[step]; });
+    };
+
+    track(fontsLoaded, 'fonts');
+    track(renderersLoaded, 'renderers');
+    booted.then(() => {
+        const scene = getScene();
+        if (!scene) return;
+
+        track(scene.compile(), 'shaders');
+        track(scene.firstFrame(), 'frame');
+    });
+
+    const draw = () => {
+        frameId = requestAnimationFrame(draw);
+
+        shown += (progress - shown) * 0.2;
+        if (progress - shown < 0.5) shown = progress;
+
+        const value = Math.round(shown);
+        loaderCounter.textContent = value;
+        loaderProgress.style.width = value + '%';
+
+        if (value === 100) resolveFull();
+    };
+    draw();
+
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    let hidden = false;
+    const ready = Promise.all([counterFull, wait(LOADER_MIN_MS)]).then(() => wait(LOADER_LINGER_MS));
+    const timedOut = wait(LOADER_MAX_MS).then(() => {
+        if (!hidden) console.warn(`app.js: Still loading after ${LOADER_MAX_MS / 1000}s -- showing the page anyway.`);
+    });
+
+    Promise.race([ready, timedOut]).then(() => {
+        hidden = true;
+        start();
+
+        // Adding the 'loaded' class triggers the CSS fade-out transition,
+        // and the hero entrance plays as it goes
+        loader.classList.add('loaded');
+        if (experience) experience.playEntrance();
+
+        setTimeout(() => cancelAnimationFrame(frameId), LOADER_FADE_MS);
     });
 })();
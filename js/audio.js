@@ -9,21 +9,64 @@
  *   2. Mid harmonic (110 Hz sine)
  *   3. High ethereal tone (220 Hz sine, slightly detuned)
  *   4. Filtered white noise (cosmic hiss)
- *   5. Very slow LFO modulating the bass frequency
+ *   5. Very slow LFO modulating the bass frequency (and, slightly, its level)
+ *
+ * An AnalyserNode tapped off the master gain exposes the energy in three
+ * bands through getBands(), so the 3D background can breathe with the drone.
+ *
+ * The level of layers 1-4 can be changed with setLayerGain() (the debug
+ * panel's mixer); the levels persist across stop() / start().
+ *
+ * The noise layer is drawn from a seedable generator (random.js), so a seeded
+ * page produces the same hiss every time.
  *
  * No external dependencies -- pure Web Audio API.
  */
 
+import { createRandom } from './random.js';
+
+// Frequency ranges (Hz) of the bands reported by getBands(). Each holds one
+// of the tones above: the 55 Hz drone, the 110 Hz harmonic and the 220 Hz
+// shimmer, with the filtered noise spread across the lower two
+const BANDS = {
+    bass: [30, 80],
+    mid: [80, 160],
+    high: [160, 400]
+};
+
+// Default level of each tone/noise layer (see setLayerGain())
+export const LAYER_GAINS = {
+    bass: 0.06,
+    mid: 0.025,
+    high: 0.008,
+    noise: 0.012
+};
+
+// Ramp time (seconds) for setLayerGain(), short enough to feel immediate
+// without clicking
+const GAIN_RAMP = 0.05;
+
 export class AudioManager {
     /**
      * @param {HTMLElement} toggleButton - The #audio-toggle DOM element.
+     * @param {number|null} [seed] - Seed for the noise buffer; null for Math.random
      */
-    constructor(toggleButton) {
+    constructor(toggleButton, seed = null) {
         this.toggleButton = toggleButton;
+        this.seed = seed;
         this.playing = false;
         this.sources = [];
         this.ctx = null;
         this.masterGain = null;
+        this.analyser = null;
+
+        // Level of each layer, and the gain nodes that apply them while the
+        // graph exists
+        this.layerGains = { ...LAYER_GAINS };
+        this.layers = null;
+
+        // Band energies, 0-1 -- updated in place by getBands()
+        this.bands = { bass: 0, mid: 0, high: 0 };
 
         // Bind the click handler so it can be removed later if needed
         this._handleClick = () => this.toggle();
@@ -49,6 +92,17 @@ export class AudioManager {
         this.masterGain.gain.setValueAtTime(0, this.ctx.currentTime);
         this.masterGain.connect(this.ctx.destination);
 
+        // Analyser tap for getBands(). A 4096-point FFT puts ~12 Hz in
+        // each bin, enough to keep the drone and its harmonic apart; the
+        // decibel window is fitted to how loud this soundscape actually is
+        this.analyser = this.ctx.createAnalyser();
+        this.analyser.fftSize = 4096;
+        this.analyser.smoothingTimeConstant = 0.85;
+        this.analyser.minDecibels = -60;
+        this.analyser.maxDecibels = -20;
+        this.masterGain.connect(this.analyser);
+        this._spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+
         // ---------------------------
         // LAYER 1: Deep bass drone
         // ---------------------------
@@ -57,7 +111,7 @@ export class AudioManager {
         bassOsc.frequency.setValueAtTime(55, this.ctx.currentTime);
 
         const bassGain = this.ctx.createGain();
-        bassGain.gain.setValueAtTime(0.06, this.ctx.currentTime);
+        bassGain.gain.setValueAtTime(this.layerGains.bass, this.ctx.currentTime);
 
         bassOsc.connect(bassGain);
         bassGain.connect(this.masterGain);
@@ -70,7 +124,7 @@ export class AudioManager {
         midOsc.frequency.setValueAtTime(110, this.ctx.currentTime);
 
         const midGain = this.ctx.createGain();
-        midGain.gain.setValueAtTime(0.025, this.ctx.currentTime);
+        midGain.gain.setValueAtTime(this.layerGains.mid, this.ctx.currentTime);
 
         midOsc.connect(midGain);
         midGain.connect(this.masterGain);
@@ -84,7 +138,7 @@ export class AudioManager {
         highOsc.detune.setValueAtTime(3, this.ctx.currentTime); // slight detune for shimmer
 
         const highGain = this.ctx.createGain();
-        highGain.gain.setValueAtTime(0.008, this.ctx.currentTime);
+        highGain.gain.setValueAtTime(this.layerGains.high, this.ctx.currentTime);
 
         highOsc.connect(highGain);
         highGain.connect(this.masterGain);
@@ -97,8 +151,9 @@ export class AudioManager {
         const bufferLength = sampleRate * 2;
         const noiseBuffer = this.ctx.createBuffer(1, bufferLength, sampleRate);
         const channelData = noiseBuffer.getChannelData(0);
+        const random = createRandom(this.seed);
         for (let i = 0; i < bufferLength; i++) {
-            channelData[i] = Math.random() * 2 - 1;
+            channelData[i] = random() * 2 - 1;
         }
 
         const noiseSource = this.ctx.createBufferSource();
@@ -112,7 +167,7 @@ export class AudioManager {
         noiseFilter.Q.setValueAtTime(1, this.ctx.currentTime);
 
         const noiseGain = this.ctx.createGain();
-        noiseGain.gain.setValueAtTime(0.012, this.ctx.currentTime);
+        noiseGain.gain.setValueAtTime(this.layerGains.noise, this.ctx.currentTime);
 
         noiseSource.connect(noiseFilter);
         noiseFilter.connect(noiseGain);
@@ -142,8 +197,9 @@ export class AudioManager {
         noiseSource.start(now);
         lfo.start(now);
 
-        // Keep references for cleanup
+        // Keep references for cleanup, and the layer levels for setLayerGain()
         this.sources = [bassOsc, midOsc, highOsc, noiseSource, lfo];
+        this.layers = { bass: bassGain, mid: midGain, high: highGain, noise: noiseGain };
     }
 
     // -------------------------------------------------------
@@ -189,6 +245,8 @@ export class AudioManager {
             this._stopAllSources();
             if (this.ctx) { this.ctx.close().catch(() => {}); this.ctx = null; }
             this.masterGain = null;
+            this.analyser = null;
+            this.layers = null;
         }, 1600); // slightly longer than the 1.5s fade to avoid clipping
 
         this.playing = false;
@@ -202,6 +260,68 @@ export class AudioManager {
         if (this.playing) this.stop(); else this.start();
     }
 
+    // -------------------------------------------------------
+    // setLayerGain -- Change one layer's level (a key of
+    // LAYER_GAINS). Ramps if the graph is playing, and is
+    // kept for the next init() either way.
+    // -------------------------------------------------------
+    setLayerGain(name, value) {
+        if (!(name in LAYER_GAINS)) {
+            console.warn(`AudioManager: Unknown layer "${name}" -- expected one of ${Object.keys(LAYER_GAINS).join(', ')}.`);
+            return;
+        }
+        if (!Number.isFinite(value) || value < 0) {
+            console.warn(`AudioManager: Invalid gain ${value} for layer "${name}".`);
+            return;
+        }
+
+        this.layerGains[name] = value;
+        if (!this.layers) return;
+
+        const now = this.ctx.currentTime;
+        const gain = this.layers[name].gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(value, now + GAIN_RAMP);
+    }
+
+    // -------------------------------------------------------
+    // getLayerGains -- Current level of every layer
+    // -------------------------------------------------------
+    getLayerGains() {
+        return { ...this.layerGains };
+    }
+
+    // -------------------------------------------------------
+    // getBands -- Energy in the bass / mid / high bands, 0-1.
+    // Call once per frame. All zero while no audio graph
+    // exists; follows the fades in and out. The returned
+    // object is reused between calls.
+    // -------------------------------------------------------
+    getBands() {
+        const bands = this.bands;
+
+        if (!this.analyser) {
+            bands.bass = bands.mid = bands.high = 0;
+            return bands;
+        }
+
+        this.analyser.getByteFrequencyData(this._spectrum);
+
+        // Peak rather than mean: the layers are pure tones, a bin or two wide
+        const binWidth = this.ctx.sampleRate / this.analyser.fftSize;
+        for (const [name, [low, high]] of Object.entries(BANDS)) {
+            const first = Math.floor(low / binWidth);
+            const last = Math.min(Math.ceil(high / binWidth), this._spectrum.length - 1);
+
+            let peak = 0;
+            for (let i = first; i <= last; i++) peak = Math.max(peak, this._spectrum[i]);
+            bands[name] = peak / 255;
+        }
+
+        return bands;
+    }
+
     // -------------------------------------------------------
     // destroy -- Full teardown (page unload, SPA navigation, etc.)
     // -------------------------------------------------------
@@ -210,6 +330,8 @@ export class AudioManager {
         this._stopAllSources();
         if (this.ctx) { this.ctx.close().catch(() => {}); this.ctx = null; }
         this.masterGain = null;
+        this.analyser = null;
+        this.layers = null;
         this.playing = false;
         if (this.toggleButton) {
             this.toggleButton.removeEventListener('click', this._handleClick);
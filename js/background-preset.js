@@ -0,0 +1,118 @@
+/**
+ * background-preset.js
+ * --------------------
+ * Which background shader preset the site shows (see BackgroundPresets in
+ * shaders.js).
+ *
+ * The preset comes from the `?background=<name>` URL parameter, e.g.
+ * `?background=grid`, and the #background-toggle button cycles through the
+ * presets. The button keeps the parameter up to date (history.replaceState),
+ * so a reload or a shared link shows the same background.
+ *
+ * Subscribers registered with onChange() are told about every change; app.js
+ * passes it on to scene.configure(), which crossfades to the new preset.
+ *
+ * No external dependencies.
+ */
+
+import { BACKGROUND_PRESETS, DEFAULT_SCENE_OPTIONS } from './options.js';
+
+const URL_PARAM = 'background';
+
+export class BackgroundPreset {
+    /**
+     * @param {HTMLElement} [toggleButton] - The #background-toggle DOM element.
+     */
+    constructor(toggleButton) {
+        this.toggleButton = toggleButton || null;
+        this._listeners = new Set();
+
+        this.preset = this._readParam();
+
+        // Bind the click handler so it can be removed later if needed
+        this._handleClick = () => this.next();
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', this._handleClick);
+        }
+
+        this._applyToButton();
+    }
+
+    // -------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------
+
+    /**
+     * Registers a callback fired with the new preset name on every change.
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * Switches to a preset and records it in the URL.
+     * @param {string} preset - One of BACKGROUND_PRESETS; others are ignored
+     */
+    set(preset) {
+        if (!BACKGROUND_PRESETS.includes(preset) || preset === this.preset) return;
+
+        this.preset = preset;
+        this._writeParam();
+        this._applyToButton();
+        this._listeners.forEach((callback) => callback(preset));
+    }
+
+    /**
+     * Switches to the preset after the current one, wrapping around.
+     */
+    next() {
+        const index = BACKGROUND_PRESETS.indexOf(this.preset);
+        this.set(BACKGROUND_PRESETS[(index + 1) % BACKGROUND_PRESETS.length]);
+    }
+
+    /**
+     * Removes listeners so the instance can be garbage-collected.
+     */
+    destroy() {
+        if (this.toggleButton) {
+            this.toggleButton.removeEventListener('click', this._handleClick);
+        }
+        this._listeners.clear();
+    }
+
+    // -------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------
+
+    _readParam() {
+        const value = new URLSearchParams(window.location.search).get(URL_PARAM);
+        if (value === null) return DEFAULT_SCENE_OPTIONS.background;
+
+        if (!BACKGROUND_PRESETS.includes(value)) {
+            console.warn(`BackgroundPreset: Unknown background "${value}" -- expected one of ${BACKGROUND_PRESETS.join(', ')}.`);
+            return DEFAULT_SCENE_OPTIONS.background;
+        }
+        return value;
+    }
+
+    _writeParam() {
+        const url = new URL(window.location.href);
+        if (this.preset === DEFAULT_SCENE_OPTIONS.background) {
+            url.searchParams.delete(URL_PARAM);
+        } else {
+            url.searchParams.set(URL_PARAM, this.preset);
+        }
+        history.replaceState(history.state, '', url);
+    }
+
+    _applyToButton() {
+        if (!this.toggleButton) return;
+
+        const label = `Change background (now: ${this.preset})`;
+        this.toggleButton.title = label;
+        this.toggleButton.setAttribute('aria-label', label);
+    }
+}
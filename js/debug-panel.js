@@ -0,0 +1,425 @@
+/**
+ * debug-panel.js
+ * --------------
+ * Developer overlay for tuning the background live.
+ *
+ * Opened with the `?debug` URL parameter, or toggled with Shift+Alt+D (next
+ * to the capture shortcuts in app.js). Shows:
+ *   - FPS and frame time of the main-thread loop, and the scene's quality tier
+ *   - Scroll progress, velocity and active section from ScrollManager
+ *
+ * and has controls for:
+ *   - Bloom strength/radius/threshold (scene.configure({ bloom }))
+ *   - The post-processing passes (scene.setPassEnabled())
+ *   - The background uniforms in UNIFORM_OVERRIDES (options.js): each one can
+ *     be pinned to a slider value (scene.setUniformOverride()) or left to the
+ *     scene
+ *   - Each wireframe's speed (scene.configure({ wireframes }))
+ *   - The AudioManager layer gains (audio.setLayerGain())
+ *
+ * "Export settings" prints everything tuned here as JSON -- to the console
+ * and into a text box in the panel -- ready to paste into the defaults.
+ *
+ * The DOM is only built the first time the panel opens, so a normal visit
+ * pays for nothing but the key listener. Works with any of the renderers
+ * (Scene, WorkerScene, FallbackScene); the fallback ignores what it can't do.
+ *
+ * No external dependencies.
+ */
+
+import { UNIFORM_OVERRIDES } from './options.js';
+import { LAYER_GAINS } from './audio.js';
+
+const URL_PARAM = 'debug';
+
+// How often the readouts are refreshed (ms) -- every frame is unreadable
+const REFRESH_MS = 250;
+
+// Slider ranges and starting values of the pinnable uniforms, one entry per
+// component. Starting values are where a pin begins, not the live value
+const UNIFORM_CONTROLS = {
+    scroll:        [{ label: 'scroll',   min: 0,  max: 1, step: 0.001, value: 0 }],
+    velocity:      [{ label: 'velocity', min: 0,  max: 2, step: 0.01,  value: 0 }],
+    themeExposure: [{ label: 'exposure', min: 0,  max: 2, step: 0.01,  value: 0.7 }],
+    mouse: [
+        { label: 'mouse x', min: -1, max: 1, step: 0.01, value: 0 },
+        { label: 'mouse y', min: -1, max: 1, step: 0.01, value: 0 }
+    ],
+    audio: [
+        { label: 'bass', min: 0, max: 1, step: 0.01, value: 0 },
+        { label: 'mid',  min: 0, max: 1, step: 0.01, value: 0 },
+        { label: 'high', min: 0, max: 1, step: 0.01, value: 0 }
+    ]
+};
+
+export class DebugPanel {
+    /**
+     * @param {Object}         scene  - Scene, WorkerScene or FallbackScene
+     * @param {ScrollManager}  scroll
+     * @param {AudioManager}   audio
+     */
+    constructor(scene, scroll, audio) {
+        this.scene = scene;
+        this.scroll = scroll;
+        this.audio = audio;
+
+        this.open = false;
+        this.el = null;
+
+        // Smoothed frame time (ms) and the timestamps it is measured from
+        this.frameMs = 1000 / 60;
+        this._lastFrame = 0;
+        this._lastRefresh = 0;
+
+        // What has been tuned here -- the source of the exported settings.
+        // Bloom and wireframes are copied from the scene's options when the
+        // panel is first built
+        this.bloom = null;
+        this.wireframes = null;
+        this.pinned = {};
+
+        // Readout <dd> elements by key, and the export text box
+        this._readouts = {};
+        this._exportBox = null;
+
+        this._onKeyDown = (e) => {
+            if (!e.shiftKey || !e.altKey || e.ctrlKey || e.metaKey || e.code !== 'KeyD') return;
+            e.preventDefault();
+            this.toggle();
+        };
+        window.addEventListener('keydown', this._onKeyDown);
+
+        if (new URLSearchParams(window.location.search).has(URL_PARAM)) this.show();
+    }
+
+    // -------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------
+
+    show() {
+        if (this.open) return;
+        if (!this.el) this._build();
+
+        this.open = true;
+        this.el.hidden = false;
+        this._lastFrame = 0;
+    }
+
+    hide() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.el.hidden = true;
+    }
+
+    toggle() {
+        if (this.open) this.hide(); else this.show();
+    }
+
+    /**
+     * Call once per frame from the animation loop. Measures the frame time
+     * and refreshes the readouts a few times a second; does nothing while
+     * the panel is closed.
+     */
+    update() {
+        if (!this.open) return;
+
+        const now = performance.now();
+        if (this._lastFrame) {
+            // Exponential moving average, so one slow frame doesn't flash
+            this.frameMs += (now - this._lastFrame - this.frameMs) * 0.1;
+        }
+        this._lastFrame = now;
+
+        if (now - this._lastRefresh < REFRESH_MS) return;
+        this._lastRefresh = now;
+
+        const tier = this.scene.qualityTier;
+        const r = this._readouts;
+        r.fps.textContent = (1000 / this.frameMs).toFixed(0);
+        r.frame.textContent = this.frameMs.toFixed(1) + ' ms';
+        r.tier.textContent = tier ? tier.name : '--';
+        r.progress.textContent = this.scroll.getProgress().toFixed(3);
+        r.velocity.textContent = this.scroll.getVelocity().toFixed(2);
+        r.section.textContent = this.scroll.getActiveSection() || '--';
+    }
+
+    /**
+     * Everything tuned in the panel, in the shape it is applied in:
+     * `scene` goes to new Scene() / configure(), `uniforms` to
+     * setUniformOverride(), `passes` to setPassEnabled() and `audio` to
+     * AudioManager.setLayerGain().
+     * @returns {Object}
+     */
+    getSettings() {
+        this._copySceneOptions();
+
+        const passes = {};
+        this.scene.getPasses().forEach(({ name, enabled }) => { passes[name] = enabled; });
+
+        return {
+            scene: {
+                bloom: { ...this.bloom },
+                wireframes: { items: this.wireframes.map((item) => ({ ...item })) }
+            },
+            uniforms: { ...this.pinned },
+            passes,
+            audio: this.audio.getLayerGains()
+        };
+    }
+
+    /**
+     * Print getSettings() as JSON to the console and the panel's text box.
+     * @returns {string} The JSON
+     */
+    exportSettings() {
+        const json = JSON.stringify(this.getSettings(), null, 2);
+        console.log(json);
+
+        if (this._exportBox) {
+            this._exportBox.hidden = false;
+            this._exportBox.value = json;
+            this._exportBox.select();
+        }
+        return json;
+    }
+
+    /**
+     * Removes the panel and its listener. Pinned uniforms stay pinned on the
+     * scene -- it is torn down alongside anyway.
+     */
+    destroy() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        if (this.el) this.el.remove();
+        this.el = null;
+        this.open = false;
+    }
+
+    // -------------------------------------------------------
+    // DOM construction
+    // -------------------------------------------------------
+
+    _build() {
+        this._copySceneOptions();
+
+        // data-lenis-prevent lets the panel scroll natively under Lenis
+        const el = document.createElement('aside');
+        el.className = 'debug-panel';
+        el.setAttribute('aria-label', 'Debug panel');
+        el.setAttribute('data-lenis-prevent', '');
+        el.hidden = true;
+
+        const title = document.createElement('h2');
+        title.className = 'debug-title';
+        title.textContent = 'Debug';
+        el.append(title, this._buildStats(), this._buildBloom(), this._buildUniforms(),
+            this._buildWireframes(), this._buildAudio(), this._buildExport());
+
+        document.body.appendChild(el);
+        this.el = el;
+    }
+
+    _buildStats() {
+        const group = this._group('Stats');
+        const list = document.createElement('dl');
+        list.className = 'debug-stats';
+
+        const rows = {
+            fps: 'FPS', frame: 'Frame', tier: 'Quality',
+            progress: 'Scroll', velocity: 'Velocity', section: 'Section'
+        };
+        for (const [key, label] of Object.entries(rows)) {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = '--';
+            list.append(dt, dd);
+            this._readouts[key] = dd;
+        }
+
+        group.appendChild(list);
+        return group;
+    }
+
+    _buildBloom() {
+        const group = this._group('Post-processing');
+
+        const ranges = { strength: [0, 3, 0.01], radius: [0, 1, 0.01], threshold: [0, 1, 0.01] };
+        for (const [key, [min, max, step]] of Object.entries(ranges)) {
+            this._slider(group, { label: key, min, max, step, value: this.bloom[key] }, (value) => {
+                this.bloom[key] = value;
+                this.scene.configure({ bloom: { [key]: value } });
+            });
+        }
+
+        for (const { name, enabled } of this.scene.getPasses()) {
+            this._checkbox(group, name, enabled, (checked) => this.scene.setPassEnabled(name, checked));
+        }
+
+        return group;
+    }
+
+    _buildUniforms() {
+        const group = this._group('Shader uniforms');
+
+        for (const name of Object.keys(UNIFORM_OVERRIDES)) {
+            const components = UNIFORM_CONTROLS[name];
+            const values = components.map((c) => c.value);
+
+            const apply = () => {
+                this.pinned[name] = values.length === 1 ? values[0] : values.slice();
+                this.scene.setUniformOverride(name, this.pinned[name]);
+            };
+
+            const pin = this._checkbox(group, `pin ${name}`, false, (checked) => {
+                if (checked) {
+                    apply();
+                } else {
+                    delete this.pinned[name];
+                    this.scene.setUniformOverride(name, null);
+                }
+            });
+
+            // Moving a slider pins its uniform, like ticking the box would
+            components.forEach((control, i) => {
+                this._slider(group, control, (value) => {
+                    values[i] = value;
+                    pin.checked = true;
+                    apply();
+                });
+            });
+        }
+
+        return group;
+    }
+
+    _buildWireframes() {
+        const group = this._group('Wireframe speed');
+
+        this.wireframes.forEach((item, i) => {
+            this._slider(group, { label: item.name, min: 0, max: 3, step: 0.01, value: item.speed }, (value) => {
+                this.wireframes[i].speed = value;
+                this.scene.configure({ wireframes: { items: this.wireframes.map((w) => ({ ...w })) } });
+            });
+        });
+
+        return group;
+    }
+
+    _buildAudio() {
+        const group = this._group('Audio layers');
+        const gains = this.audio.getLayerGains();
+
+        for (const name of Object.keys(LAYER_GAINS)) {
+            const control = { label: name, min: 0, max: LAYER_GAINS[name] * 4, step: 0.0005, value: gains[name] };
+            this._slider(group, control, (value) => this.audio.setLayerGain(name, value));
+        }
+
+        return group;
+    }
+
+    _buildExport() {
+        const group = this._group('Export');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'debug-button';
+        button.textContent = 'Export settings';
+        button.addEventListener('click', () => this.exportSettings());
+
+        const box = document.createElement('textarea');
+        box.className = 'debug-export';
+        box.readOnly = true;
+        box.rows = 10;
+        box.spellcheck = false;
+        box.hidden = true;
+        this._exportBox = box;
+
+        group.append(button, box);
+        return group;
+    }
+
+    /**
+     * Take the starting bloom and wireframe values from the scene, once.
+     */
+    _copySceneOptions() {
+        if (this.bloom) return;
+
+        const { bloom, wireframes } = this.scene.options;
+        this.bloom = { ...bloom };
+        this.wireframes = wireframes.items.map((item) => ({ ...item }));
+    }
+
+    // -------------------------------------------------------
+    // Control helpers
+    // -------------------------------------------------------
+
+    _group(label) {
+        const group = document.createElement('fieldset');
+        group.className = 'debug-group';
+
+        const legend = document.createElement('legend');
+        legend.textContent = label;
+        group.appendChild(legend);
+        return group;
+    }
+
+    /**
+     * Append a labelled range input with a live value readout.
+     * @param {HTMLElement} parent
+     * @param {{label: string, min: number, max: number, step: number, value: number}} control
+     * @param {Function} onInput - Called with the new value
+     */
+    _slider(parent, { label, min, max, step, value }, onInput) {
+        const row = document.createElement('label');
+        row.className = 'debug-row';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+
+        const output = document.createElement('output');
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        output.textContent = Number(value).toFixed(decimals);
+
+        input.addEventListener('input', () => {
+            const v = parseFloat(input.value);
+            output.textContent = v.toFixed(decimals);
+            onInput(v);
+        });
+
+        row.append(name, input, output);
+        parent.appendChild(row);
+    }
+
+    /**
+     * Append a labelled checkbox.
+     * @param {HTMLElement} parent
+     * @param {string}   label
+     * @param {boolean}  checked
+     * @param {Function} onChange - Called with the new state
+     * @returns {HTMLInputElement}
+     */
+    _checkbox(parent, label, checked, onChange) {
+        const row = document.createElement('label');
+        row.className = 'debug-row debug-row--check';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        row.append(input, name);
+        parent.appendChild(row);
+        return input;
+    }
+}
@@ -0,0 +1,621 @@
+/**
+ * fallback-scene.js
+ * -----------------
+ * Static-ish Canvas2D stand-in for the 3D background, used when WebGL is
+ * unavailable or Three.js fails to load from the CDN.
+ *
+ * Approximates the background shader with a handful of gradients:
+ *   - Base colour and soft highlight/accent blobs from the section mood
+ *     palette (moods.js), eased between sections like Scene does, and
+ *     themed like Scene (setTheme()) -- or, once setPaletteStops() has placed
+ *     the palettes along the page, blended by scroll position like the shader
+ *   - A breathing glow undertone, swelling with the audio's bass band
+ *   - A cursor spotlight that swells slightly with scroll velocity
+ *   - A scroll-driven drift of the blobs, so the colours shift as the
+ *     page is read
+ *   - A vignette
+ *
+ * Implements the same public API as Scene, so app.js and ScrollManager don't
+ * need to know which renderer they got. Draws at a fraction of the viewport
+ * resolution -- everything is a smooth gradient, so the CSS upscale is free.
+ * Nothing to compile, so compile() resolves at once and firstFrame() with
+ * the first draw.
+ *
+ * No Three.js dependency. If even a 2D context is unavailable, a CSS
+ * gradient on the canvas element stands in.
+ */
+
+import { resolveSceneOptions, resolveUniformOverride, resolveFrame } from './options.js';
+import { DEFAULT_SECTION } from './moods.js';
+import { ViewportObserver } from './viewport.js';
+
+// Backing-store resolution relative to the viewport
+const RESOLUTION_SCALE = 0.25;
+
+const PALETTE_KEYS = ['base', 'highlight', 'glow', 'accent'];
+
+// Same default exposure as the background shader (--scene-exposure in the
+// dark theme), so white text stays readable
+const DEFAULT_EXPOSURE = 0.7;
+
+/**
+ * Convert a palette colour (linear 0-1 [r, g, b], as in moods.js) to an
+ * sRGB [r, g, b] in 0-255, scaled by the exposure like the shader output.
+ * @param {number[]} rgb
+ * @param {number}   exposure
+ * @returns {number[]}
+ */
+function toScreenRGB(rgb, exposure) {
+    return rgb.map((c) => {
+        const v = Math.max(0, Math.min(1, c * exposure));
+        const s = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+        return Math.round(s * 255);
+    });
+}
+
+/**
+ * Convert a colour option to linear [r, g, b]. Arrays are already linear;
+ * hex numbers and '#rrggbb' / '#rgb' strings are sRGB -- the only formats
+ * options.js accepts.
+ * @param {Array|number|string} value
+ * @returns {number[]}
+ */
+function toLinearRGB(value) {
+    if (Array.isArray(value)) return value.slice();
+
+    let hex = typeof value === 'number' ? value : null;
+    if (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+        const digits = value.length === 4
+            ? value.slice(1).split('').map((d) => d + d).join('')
+            : value.slice(1);
+        hex = parseInt(digits, 16);
+    }
+    if (hex === null) return [0, 0, 0];
+
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255].map((byte) => {
+        const c = byte / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+}
+
+/**
+ * GLSL smoothstep.
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function rgba(rgb, alpha) {
+    return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
+}
+
+export class FallbackScene {
+    /**
+     * @param {HTMLCanvasElement} canvas  - The <canvas id="bg"> element
+     * @param {Object}            [options] - Scene options (see options.js); only
+     *                                        the moods are used here.
+     */
+    constructor(canvas, options = {}) {
+        if (!canvas) {
+            console.warn('FallbackScene: No canvas element provided. Aborting initialization.');
+            this.enabled = false;
+            return;
+        }
+
+        this.options = resolveSceneOptions(options);
+
+        this.enabled = true;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.scrollProgress = 0;
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.velocity = 0;
+        this.reducedMotion = false;
+
+        // Audio bass energy: latest from setAudioBands() and eased
+        this.bassTarget = 0;
+        this.bass = 0;
+
+        // Animation time, slowed down in reduced-motion mode
+        this.elapsed = 0;
+        this._lastTime = null;
+
+        // The frame renderAt() holds, or null while on the wall clock
+        this.frozenFrame = null;
+
+        // Theme scene colours (see setTheme()) and the eased exposure
+        this.theme = null;
+        this.exposure = DEFAULT_EXPOSURE;
+
+        // Current (eased) palette and the section palette it eases toward
+        this.activeSection = DEFAULT_SECTION;
+        this.palette = this._paletteFor(DEFAULT_SECTION);
+        this.paletteTarget = this._paletteFor(DEFAULT_SECTION);
+
+        // Palette stops along the page (see setPaletteStops()) and the
+        // palette of each stop's section
+        this.paletteStops = [];
+        this._stopPalettes = new Map();
+
+        // Resolved by the first draw (see firstFrame())
+        this._firstFrame = new Promise((resolve) => { this._resolveFirstFrame = resolve; });
+
+        if (!this.ctx) {
+            console.warn('FallbackScene: Canvas2D unavailable -- using a CSS gradient.');
+            this._applyCssGradient();
+            this._frameRendered();
+        }
+
+        // Resizing clears the canvas, so sizes are applied right before the
+        // next draw rather than when the observer reports them
+        this._pendingSize = null;
+        this._applySize(canvas.clientWidth || window.innerWidth, canvas.clientHeight || window.innerHeight);
+        this.viewportObserver = new ViewportObserver(canvas, (v) => this.resize(v.width, v.height));
+    }
+
+    // ----------------------------------------------------------------
+    // Palette
+    // ----------------------------------------------------------------
+
+    /**
+     * A copy of a section's mood palette, falling back to the default section.
+     * With a theme, the theme's palette replaces the hero palette and the
+     * section's offset from hero is added on top (as in Scene).
+     * @param {string} name
+     * @returns {Object} { base, highlight, glow, accent } as linear [r, g, b]
+     */
+    _paletteFor(name) {
+        const moods = this.options.moods;
+        const fallback = moods[DEFAULT_SECTION] || Object.values(moods)[0];
+        const mood = moods[name] || fallback;
+        const palette = {};
+
+        for (const key of PALETTE_KEYS) {
+            palette[key] = toLinearRGB(mood.palette[key]);
+
+            if (this.theme) {
+                const hero = toLinearRGB(fallback.palette[key]);
+                palette[key] = palette[key].map((c, i) => c - hero[i] + this.theme.palette[key][i]);
+            }
+        }
+        return palette;
+    }
+
+    /**
+     * Re-resolve the palettes of the stop sections, after a theme or mood
+     * change.
+     */
+    _updateStopPalettes() {
+        this._stopPalettes = new Map(this.paletteStops.map(({ section }) => [section, this._paletteFor(section)]));
+    }
+
+    /**
+     * The palette at a scroll position, blended between the stops exactly
+     * like samplePalette() in the shader.
+     * @param {number} position - Scroll progress, 0-1
+     * @returns {Object} { base, highlight, glow, accent } as linear [r, g, b]
+     */
+    _paletteAt(position) {
+        const stops = this.paletteStops;
+        const first = this._stopPalettes.get(stops[0].section);
+        const palette = {};
+        for (const key of PALETTE_KEYS) palette[key] = first[key].slice();
+
+        for (let i = 1; i < stops.length; i++) {
+            const from = stops[i - 1].offset;
+            const to = stops[i].offset;
+            const t = to > from ? smoothstep(from, to, position) : (position >= to ? 1 : 0);
+
+            // Offsets never decrease, so no later stop has started either
+            if (t === 0) break;
+
+            const next = this._stopPalettes.get(stops[i].section);
+            for (const key of PALETTE_KEYS) {
+                palette[key] = palette[key].map((c, j) => c + (next[key][j] - c) * t);
+            }
+        }
+        return palette;
+    }
+
+    /**
+     * Ease the palette and exposure toward the target (~1s to settle, like
+     * Scene).
+     * @param {number} delta - Seconds since the last frame
+     */
+    _easePalette(delta) {
+        const k = 1 - Math.exp(-delta * 3);
+        const exposure = this.theme ? this.theme.exposure : DEFAULT_EXPOSURE;
+        this.exposure += (exposure - this.exposure) * k;
+
+        for (const key of Object.keys(this.palette)) {
+            const cur = this.palette[key];
+            const tgt = this.paletteTarget[key];
+            for (let i = 0; i < 3; i++) cur[i] += (tgt[i] - cur[i]) * k;
+        }
+    }
+
+    /**
+     * Without a 2D context, paint the palette as a CSS gradient instead.
+     * Only updated on section changes -- there is no animation loop to drive.
+     */
+    _applyCssGradient() {
+        const p = this.paletteTarget;
+        const exposure = this.theme ? this.theme.exposure : DEFAULT_EXPOSURE;
+        this.canvas.style.background =
+            `radial-gradient(ellipse at 30% 30%, ${rgba(toScreenRGB(p.highlight, exposure), 1)}, transparent 60%),` +
+            `radial-gradient(ellipse at 75% 70%, ${rgba(toScreenRGB(p.accent, exposure), 1)}, transparent 55%),` +
+            `${rgba(toScreenRGB(p.base, exposure), 1)}`;
+    }
+
+    // ----------------------------------------------------------------
+    // Drawing
+    // ----------------------------------------------------------------
+
+    _draw() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const size = Math.max(w, h);
+        const t = this.elapsed;
+        const scroll = this.scrollProgress;
+
+        const base = toScreenRGB(this.palette.base, this.exposure);
+        const highlight = toScreenRGB(this.palette.highlight, this.exposure);
+        const glow = toScreenRGB(this.palette.glow, this.exposure);
+        const accent = toScreenRGB(this.palette.accent, this.exposure);
+
+        // --- Base colour ---
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = rgba(base, 1);
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.globalCompositeOperation = 'lighter';
+
+        // --- Highlight and accent blobs ---
+        // Slow drift with time, and a sweep across the page with scroll
+        const hx = w * (0.3 + 0.15 * Math.sin(t * 0.05) + 0.2 * scroll);
+        const hy = h * (0.3 + 0.1 * Math.cos(t * 0.04) + 0.4 * scroll);
+        this._blob(hx, hy, size * 0.6, highlight, 0.5);
+
+        const ax = w * (0.75 - 0.15 * Math.sin(t * 0.035) - 0.3 * scroll);
+        const ay = h * (0.7 - 0.1 * Math.sin(t * 0.045) - 0.3 * scroll);
+        this._blob(ax, ay, size * 0.45, accent, 0.35);
+
+        // --- Glow pulse ---
+        // Breathing undertone, like the shader's paletteGlow term
+        const glowPulse = 0.5 + 0.5 * Math.sin(t * 0.3);
+        ctx.fillStyle = rgba(glow, 0.12 * glowPulse + 0.15 * this.bass);
+        ctx.fillRect(0, 0, w, h);
+
+        // --- Mouse spotlight ---
+        const mx = (this.mouseX * 0.5 + 0.5) * w;
+        const my = (this.mouseY * 0.5 + 0.5) * h;
+        const swell = 1 + Math.min(this.velocity, 1) * 0.5;
+        // A faint lift in the themed highlight colour
+        const spotlight = highlight.map((c) => Math.round(c * 0.15));
+        this._blob(mx, my, size * 0.35 * swell, spotlight, 0.8);
+
+        // --- Vignette ---
+        ctx.globalCompositeOperation = 'source-over';
+        const vignette = ctx.createRadialGradient(w / 2, h / 2, size * 0.25, w / 2, h / 2, size * 0.75);
+        vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        vignette.addColorStop(1, 'rgba(0, 0, 0, 0.6)');
+        ctx.fillStyle = vignette;
+        ctx.fillRect(0, 0, w, h);
+    }
+
+    /**
+     * Additive radial gradient fading to transparent.
+     * @param {number}   x
+     * @param {number}   y
+     * @param {number}   radius
+     * @param {number[]} rgb   - sRGB 0-255
+     * @param {number}   alpha - Opacity at the centre
+     */
+    _blob(x, y, radius, rgb, alpha) {
+        const ctx = this.ctx;
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, rgba(rgb, alpha));
+        gradient.addColorStop(1, rgba(rgb, 0));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // ----------------------------------------------------------------
+    // Public API (mirrors Scene)
+    // ----------------------------------------------------------------
+
+    /**
+     * @param {number} progress - Value between 0 (top) and 1 (bottom)
+     */
+    setScroll(progress) {
+        this.scrollProgress = Math.max(0, Math.min(1, progress));
+    }
+
+    /**
+     * @param {number} x - Normalized x, range -1 to 1
+     * @param {number} y - Normalized y, range -1 to 1
+     */
+    setMouse(x, y) {
+        this.mouseX = x;
+        this.mouseY = y;
+    }
+
+    /**
+     * @param {string} name - A [data-section] value, e.g. 'projects'
+     */
+    setSection(name) {
+        if (!this.enabled || !this.options.moods[name] || name === this.activeSection) return;
+
+        this.activeSection = name;
+        this.paletteTarget = this._paletteFor(name);
+        if (!this.ctx) this._applyCssGradient();
+    }
+
+    /**
+     * Bloom doesn't apply here; the palette and exposure do.
+     * @param {Object|null} theme - See Scene.setTheme()
+     */
+    setTheme(theme) {
+        if (!this.enabled) return;
+
+        this.theme = theme || null;
+        this.paletteTarget = this._paletteFor(this.activeSection);
+        this._updateStopPalettes();
+        if (!this.ctx) this._applyCssGradient();
+    }
+
+    /**
+     * The palette then follows the scroll position (see
+     * Scene.setPaletteStops()). The CSS gradient stand-in has no frames to
+     * follow it with and keeps showing the active section.
+     * @param {Array<{section: string, offset: number}>} stops
+     */
+    setPaletteStops(stops) {
+        if (!this.enabled) return;
+
+        this.paletteStops = Array.isArray(stops) ? stops.map(({ section, offset }) => ({ section, offset })) : [];
+        this._updateStopPalettes();
+        if (!this.paletteStops.length) this.paletteTarget = this._paletteFor(this.activeSection);
+    }
+
+    /**
+     * Card previews need WebGL; the preview slots just show the background.
+     */
+    setPreviews() {}
+
+    /**
+     * Only the bass band is used, for the glow.
+     * @param {{bass: number, mid: number, high: number}|null} bands
+     */
+    setAudioBands(bands) {
+        this.bassTarget = bands ? bands.bass : 0;
+    }
+
+    /**
+     * @param {number} v - Absolute velocity value, normalized (e.g. 0 to ~1)
+     */
+    setVelocity(v) {
+        if (!this.enabled || this.reducedMotion) return;
+        this.velocity = v;
+    }
+
+    /**
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = !!reduced;
+        if (this.reducedMotion) this.velocity = 0;
+    }
+
+    /**
+     * Only the moods affect this renderer; everything else is validated and
+     * kept so the options stay in sync with what Scene would use.
+     * @param {Object} partialOptions
+     */
+    configure(partialOptions) {
+        if (!this.enabled) return;
+
+        this.options = resolveSceneOptions(partialOptions, this.options);
+        this.paletteTarget = this._paletteFor(this.activeSection);
+        this._updateStopPalettes();
+        if (!this.ctx) this._applyCssGradient();
+    }
+
+    /**
+     * There are no shader uniforms to pin; the value is only validated.
+     * @param {string} name
+     * @param {number|number[]|null} value
+     */
+    setUniformOverride(name, value) {
+        resolveUniformOverride(name, value);
+    }
+
+    /**
+     * Post-processing needs WebGL; there is no pass stack to change.
+     * @returns {boolean} Always false
+     */
+    addPass() {
+        return false;
+    }
+
+    /**
+     * @returns {boolean} Always false
+     */
+    removePass() {
+        return false;
+    }
+
+    /**
+     * @returns {boolean} Always false
+     */
+    setPassEnabled() {
+        return false;
+    }
+
+    /**
+     * @returns {Array} Always empty
+     */
+    getPasses() {
+        return [];
+    }
+
+    /**
+     * There is nothing to pick.
+     * @returns {boolean} Always false
+     */
+    handleClick() {
+        return false;
+    }
+
+    /**
+     * Stills and clips are a WebGL feature (see Scene.capture()).
+     * @returns {Promise} Always rejects
+     */
+    capture() {
+        return Promise.reject(new Error('FallbackScene: Capture is unavailable on the static background.'));
+    }
+
+    /**
+     * @returns {Promise} Always rejects
+     */
+    record() {
+        return Promise.reject(new Error('FallbackScene: Recording is unavailable on the static background.'));
+    }
+
+    /**
+     * No shaders to compile.
+     * @returns {Promise<void>} Already resolved
+     */
+    compile() {
+        return Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once the first frame has been drawn
+     */
+    firstFrame() {
+        if (!this.enabled) return Promise.resolve();
+        return this._firstFrame;
+    }
+
+    _frameRendered() {
+        if (!this._resolveFirstFrame) return;
+        this._resolveFirstFrame();
+        this._resolveFirstFrame = null;
+    }
+
+    /**
+     * No quality tiers.
+     * @returns {null}
+     */
+    get qualityTier() {
+        return null;
+    }
+
+    /**
+     * Call every frame (typically via requestAnimationFrame).
+     */
+    update() {
+        if (!this.enabled || !this.ctx) return;
+
+        const now = performance.now();
+        const delta = this._lastTime === null ? 0 : Math.min((now - this._lastTime) / 1000, 0.1);
+        this._lastTime = now;
+
+        if (this._pendingSize) {
+            this._applySize(this._pendingSize.width, this._pendingSize.height);
+            this._pendingSize = null;
+        }
+
+        if (this.frozenFrame) {
+            this._drawFrozenFrame();
+            return;
+        }
+
+        this.elapsed += delta * (this.reducedMotion ? 0.05 : 1);
+        this.velocity *= 0.95;
+        this.bass += ((this.reducedMotion ? 0 : this.bassTarget) - this.bass) * (1 - Math.exp(-delta * 8));
+
+        if (this.paletteStops.length) this.paletteTarget = this._paletteAt(this.scrollProgress);
+        this._easePalette(delta);
+
+        this._draw();
+        this._frameRendered();
+    }
+
+    /**
+     * See Scene.renderAt(): draws a frame from the arguments alone, with the
+     * palette snapped to its target and the audio left out, and holds it
+     * until resume().
+     * @param {Object} [frame] - { time, scroll, mouse, velocity }
+     */
+    renderAt(frame) {
+        if (!this.enabled) return;
+
+        this.frozenFrame = resolveFrame(frame);
+        if (this.ctx) this._drawFrozenFrame();
+    }
+
+    /**
+     * Back to the wall clock, carrying on from the held frame.
+     */
+    resume() {
+        this.frozenFrame = null;
+    }
+
+    _drawFrozenFrame() {
+        const { time, scroll, mouse, velocity } = this.frozenFrame;
+
+        this.elapsed = time;
+        this.scrollProgress = scroll;
+        this.mouseX = mouse[0];
+        this.mouseY = mouse[1];
+        this.velocity = this.reducedMotion ? 0 : velocity;
+        this.bass = 0;
+
+        if (this.paletteStops.length) this.paletteTarget = this._paletteAt(scroll);
+        this._easePalette(Infinity);
+
+        this._draw();
+        this._frameRendered();
+    }
+
+    /**
+     * Queue a size change, applied before the next draw. Called by the
+     * ViewportObserver; can also be called directly.
+     * @param {number} width  - New viewport width in CSS pixels
+     * @param {number} height - New viewport height in CSS pixels
+     */
+    resize(width, height) {
+        if (!this.enabled || !this.ctx) return;
+        this._pendingSize = { width, height };
+    }
+
+    _applySize(width, height) {
+        if (!this.ctx) return;
+
+        this.canvas.width = Math.max(1, Math.ceil(width * RESOLUTION_SCALE));
+        this.canvas.height = Math.max(1, Math.ceil(height * RESOLUTION_SCALE));
+    }
+
+    /**
+     * Clears the canvas and any CSS fallback.
+     */
+    destroy() {
+        if (!this.enabled) return;
+
+        this.viewportObserver.destroy();
+
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        } else {
+            this.canvas.style.background = '';
+        }
+        this._frameRendered();
+        this.enabled = false;
+    }
+}
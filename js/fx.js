@@ -6,13 +6,27 @@
  * Exports:
  *   - Cursor              -- smooth, lerp-based custom cursor with interactive scaling
  *   - TextScramble        -- cyberpunk cipher-decode text animation
- *   - initTiltCards()     -- subtle 3D tilt on hover for [data-tilt] cards
+ *   - initTiltCards()     -- subtle 3D tilt on hover (or touch) for [data-tilt] cards
  *   - initRevealAnimations() -- sets initial hidden state for scroll-reveal elements
  *   - initMagnetic()      -- magnetic hover effect with elastic snap-back
  *
- * GSAP is available as a global (loaded via <script> tag). Do NOT import it.
+ * Tilt and magnetic listen to pointer events so they can tell touch from
+ * mouse; the custom cursor stays off on coarse (touch-first) pointers.
+ *
+ * GSAP is passed in through an `engines` argument ({ gsap, ScrollTrigger },
+ * from app.js) rather than imported. Without it the tilt and magnetic
+ * effects set inline transforms and let the stylesheet's transitions ease
+ * them, and the reveal states come from the stylesheet (html.native-reveals).
+ *
+ * TextScramble, initTiltCards and initMagnetic take an optional
+ * MotionPreference (motion.js) and stand down while reduced motion is active.
+ *
+ * TextScramble also takes an optional seed (random.js) so its timing and
+ * cipher characters repeat exactly from load to load.
  */
 
+import { createRandom } from './random.js';
+
 // ======================================================================
 //  1. CUSTOM CURSOR
 // ======================================================================
@@ -24,8 +38,11 @@ export class Cursor {
         this.cursorEl  = document.getElementById('cursor');
         this.dotEl     = document.getElementById('cursor-dot');
 
-        // If either element is missing (e.g. hidden on mobile), bail gracefully
-        this.enabled = !!(this.cursorEl && this.dotEl);
+        // If either element is missing (e.g. hidden on mobile), bail gracefully.
+        // Touch-first devices have no hover position to follow -- the
+        // stylesheet hides the elements and restores the native cursor there
+        const coarse = !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+        this.enabled = !!(this.cursorEl && this.dotEl) && !coarse;
 
         // Normalised mouse position (-1 to 1) -- exposed for external consumers
         // such as the background shader
@@ -164,9 +181,13 @@ export class TextScramble {
 
     /**
      * @param {HTMLElement} el - The DOM element whose text content will be scrambled.
+     * @param {Object} [motion] - A MotionPreference; text is swapped instantly when reduced.
+     * @param {number|null} [seed] - Seed for the scramble's randomness; null for Math.random
      */
-    constructor(el) {
+    constructor(el, motion, seed = null) {
         this.el = el;
+        this.motion = motion || null;
+        this.random = createRandom(seed);
 
         // Characters used for the scramble / cipher noise
         this.chars = '!<>-_\\/[]{}=+*^?#________';
@@ -183,6 +204,14 @@ export class TextScramble {
      * @returns {Promise<void>} Resolves when the animation completes.
      */
     setText(newText) {
+        // Reduced motion: no cipher noise, just show the final text
+        if (this.motion && this.motion.reduced) {
+            if (this._frameId) cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+            this.el.textContent = newText;
+            return Promise.resolve();
+        }
+
         const oldText = this.el.innerText;
         const length  = Math.max(oldText.length, newText.length);
 
@@ -191,8 +220,8 @@ export class TextScramble {
         for (let i = 0; i < length; i++) {
             const from  = oldText[i] || '';
             const to    = newText[i] || '';
-            const start = Math.floor(Math.random() * 30);
-            const end   = start + Math.floor(Math.random() * 30) + 10;
+            const start = Math.floor(this.random() * 30);
+            const end   = start + Math.floor(this.random() * 30) + 10;
             queue.push({ from, to, start, end, char: undefined });
         }
 
@@ -217,7 +246,7 @@ export class TextScramble {
                         output += to;
                     } else if (frame >= start) {
                         // Character is actively scrambling -- pick a random cipher char
-                        if (!queue[i].char || Math.random() < 0.28) {
+                        if (!queue[i].char || this.random() < 0.28) {
                             queue[i].char = this._randomChar();
                         }
                         output += `<span class="scramble-char">${queue[i].char}</span>`;
@@ -242,12 +271,20 @@ export class TextScramble {
         });
     }
 
+    /**
+     * Cancels a running scramble, leaving the element as it currently reads.
+     */
+    stop() {
+        if (this._frameId) cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+    }
+
     /**
      * Returns a random character from the scramble character set.
      * @returns {string}
      */
     _randomChar() {
-        return this.chars[Math.floor(Math.random() * this.chars.length)];
+        return this.chars[Math.floor(this.random() * this.chars.length)];
     }
 }
 
@@ -260,24 +297,40 @@ export class TextScramble {
  * Initialises a subtle 3D tilt-on-hover effect for all elements carrying
  * the [data-tilt] attribute.
  *
- * On mousemove the card tilts up to 5 degrees around each axis and exposes
+ * On pointer move the card tilts up to 5 degrees around each axis and exposes
  * --mouse-x / --mouse-y CSS custom properties so the stylesheet can render
- * a radial gradient glow at the pointer position.
+ * a radial gradient glow at the pointer position. On touch the card tilts
+ * toward the finger while pressed and settles when it lifts or scrolls.
+ *
+ * @param {Object} [motion] - A MotionPreference; tilt is skipped while reduced.
+ * @param {Object} [engines] - { gsap }; without GSAP the card's CSS transition eases the tilt.
+ * @returns {Function} Cleanup function that removes the listeners and resets the cards
  */
-export function initTiltCards() {
+export function initTiltCards(motion, engines = {}) {
+    const gsap = engines.gsap || null;
     const cards = document.querySelectorAll('[data-tilt]');
 
-    if (!cards.length) return;
+    if (!cards.length) return () => {};
 
     const MAX_TILT = 5; // degrees
+    const cleanups = [];
 
     cards.forEach((card) => {
-        // --- Mousemove: compute tilt and custom properties ---
-        card.addEventListener('mousemove', (e) => {
+        // --- Pointer move / touch press: compute tilt and custom properties ---
+        const onPointerMove = (e) => {
             const rect   = card.getBoundingClientRect();
             const width  = rect.width;
             const height = rect.height;
 
+            // Expose normalised 0-1 mouse position for CSS radial gradient glow
+            const mouseXNorm = (e.clientX - rect.left) / width;
+            const mouseYNorm = (e.clientY - rect.top)  / height;
+            card.style.setProperty('--mouse-x', mouseXNorm.toFixed(3));
+            card.style.setProperty('--mouse-y', mouseYNorm.toFixed(3));
+
+            // The glow is static, the tilt is motion -- skip it when reduced
+            if (motion && motion.reduced) return;
+
             // Mouse position relative to card centre, normalised -1 to +1
             const relX = ((e.clientX - rect.left) / width  - 0.5) * 2;
             const relY = ((e.clientY - rect.top)  / height - 0.5) * 2;
@@ -286,6 +339,11 @@ export function initTiltCards() {
             const tiltX =  relX * MAX_TILT;
             const tiltY = -relY * MAX_TILT;
 
+            if (!gsap) {
+                card.style.transform = `perspective(1000px) rotateX(${tiltY}deg) rotateY(${tiltX}deg)`;
+                return;
+            }
+
             gsap.to(card, {
                 rotateX: tiltY,
                 rotateY: tiltX,
@@ -294,16 +352,21 @@ export function initTiltCards() {
                 ease: 'power2.out',
                 overwrite: 'auto'
             });
+        };
 
-            // Expose normalised 0-1 mouse position for CSS radial gradient glow
-            const mouseXNorm = (e.clientX - rect.left) / width;
-            const mouseYNorm = (e.clientY - rect.top)  / height;
-            card.style.setProperty('--mouse-x', mouseXNorm.toFixed(3));
-            card.style.setProperty('--mouse-y', mouseYNorm.toFixed(3));
-        });
+        // A tap produces no move events, so a touch tilts the card toward the
+        // finger on press instead
+        const onPointerDown = (e) => {
+            if (e.pointerType === 'touch') onPointerMove(e);
+        };
+
+        // --- Pointer leave / touch release or scroll: smoothly reset ---
+        const onPointerLeave = () => {
+            if (!gsap) {
+                card.style.transform = '';
+                return;
+            }
 
-        // --- Mouseleave: smoothly reset ---
-        card.addEventListener('mouseleave', () => {
             gsap.to(card, {
                 rotateX: 0,
                 rotateY: 0,
@@ -311,8 +374,30 @@ export function initTiltCards() {
                 ease: 'power3.out',
                 overwrite: 'auto'
             });
+        };
+
+        card.addEventListener('pointermove', onPointerMove);
+        card.addEventListener('pointerdown', onPointerDown);
+        card.addEventListener('pointerleave', onPointerLeave);
+        card.addEventListener('pointercancel', onPointerLeave);
+
+        cleanups.push(() => {
+            card.removeEventListener('pointermove', onPointerMove);
+            card.removeEventListener('pointerdown', onPointerDown);
+            card.removeEventListener('pointerleave', onPointerLeave);
+            card.removeEventListener('pointercancel', onPointerLeave);
+            if (gsap) {
+                gsap.killTweensOf(card);
+                gsap.set(card, { clearProps: 'transform' });
+            } else {
+                card.style.transform = '';
+            }
+            card.style.removeProperty('--mouse-x');
+            card.style.removeProperty('--mouse-y');
         });
     });
+
+    return () => cleanups.forEach((cleanup) => cleanup());
 }
 
 
@@ -330,8 +415,21 @@ export function initTiltCards() {
  *
  * The .char elements get y:60, opacity:0, rotateX:90 as their initial
  * hidden state. The ScrollManager hero entrance will animate them TO visible.
+ *
+ * Without GSAP and ScrollTrigger, ScrollManager runs in native mode: the
+ * same states live in the stylesheet under html.native-reveals, which is
+ * all this sets.
+ *
+ * @param {Object} [engines] - { gsap, ScrollTrigger }, as given to ScrollManager
  */
-export function initRevealAnimations() {
+export function initRevealAnimations(engines = {}) {
+    const gsap = engines.gsap || null;
+
+    if (!gsap || !engines.ScrollTrigger) {
+        document.documentElement.classList.add('native-reveals');
+        return;
+    }
+    document.documentElement.classList.remove('native-reveals');
 
     // --- Hero character spans (split-text style entrance) ---
     gsap.set('.char', { opacity: 0, y: 60, rotateX: 90, transformOrigin: 'bottom' });
@@ -360,38 +458,104 @@ export function initRevealAnimations() {
  * On mousemove within an element, the element shifts slightly toward the
  * cursor (30% of the offset from center). On mouseleave, an elastic ease
  * snaps the element back to its original position for a satisfying feel.
+ * Touch has no hover to pull toward, so a tap gives a short press instead.
  *
- * Targets: .side-nav-dot, .audio-toggle, .contact-link
+ * Targets: .side-nav-dot, .audio-toggle, .motion-toggle, .background-toggle,
+ *          .theme-toggle, .contact-link
+ *
+ * @param {Object} [motion] - A MotionPreference; the pull is skipped while reduced.
+ * @param {Object} [engines] - { gsap }; without GSAP the element's CSS transition eases the
+ *                             pull (no elastic snap-back).
+ * @returns {Function} Cleanup function that removes the listeners and resets the elements
  */
-export function initMagnetic() {
-    const targets = document.querySelectorAll('.side-nav-dot, .audio-toggle, .contact-link');
+export function initMagnetic(motion, engines = {}) {
+    const gsap = engines.gsap || null;
+    const targets = document.querySelectorAll('.side-nav-dot, .audio-toggle, .motion-toggle, .background-toggle, .theme-toggle, .contact-link');
+
+    if (!targets.length) return () => {};
 
-    if (!targets.length) return;
+    const cleanups = [];
 
     targets.forEach((el) => {
-        // --- Mousemove: pull element toward cursor ---
-        el.addEventListener('mousemove', (e) => {
+        // Ends the touch squeeze in native mode
+        let releaseTimer = null;
+
+        // --- Pointer move (mouse / pen): pull element toward cursor ---
+        const onPointerMove = (e) => {
+            if (e.pointerType === 'touch') return;
+            if (motion && motion.reduced) return;
+
             const rect = el.getBoundingClientRect();
             // Offset from center of the element
             const x = e.clientX - rect.left - rect.width / 2;
             const y = e.clientY - rect.top - rect.height / 2;
 
+            if (!gsap) {
+                el.style.transform = `translate(${x * 0.3}px, ${y * 0.3}px)`;
+                return;
+            }
+
             gsap.to(el, {
                 x: x * 0.3,
                 y: y * 0.3,
                 duration: 0.4,
                 ease: 'power2.out'
             });
-        });
+        };
+
+        // --- Touch press: quick squeeze instead of the pull ---
+        const onPointerDown = (e) => {
+            if (e.pointerType !== 'touch') return;
+            if (motion && motion.reduced) return;
+
+            if (!gsap) {
+                el.style.transform = 'scale(0.9)';
+                clearTimeout(releaseTimer);
+                releaseTimer = setTimeout(() => { el.style.transform = ''; }, 120);
+                return;
+            }
+
+            gsap.fromTo(el, { scale: 1 }, {
+                scale: 0.9,
+                duration: 0.12,
+                ease: 'power2.out',
+                yoyo: true,
+                repeat: 1
+            });
+        };
+
+        // --- Pointer leave: elastic snap back to origin ---
+        const onPointerLeave = () => {
+            if (!gsap) {
+                el.style.transform = '';
+                return;
+            }
 
-        // --- Mouseleave: elastic snap back to origin ---
-        el.addEventListener('mouseleave', () => {
             gsap.to(el, {
                 x: 0,
                 y: 0,
                 duration: 0.6,
                 ease: 'elastic.out(1, 0.3)'
             });
+        };
+
+        el.addEventListener('pointermove', onPointerMove);
+        el.addEventListener('pointerdown', onPointerDown);
+        el.addEventListener('pointerleave', onPointerLeave);
+
+        cleanups.push(() => {
+            el.removeEventListener('pointermove', onPointerMove);
+            el.removeEventListener('pointerdown', onPointerDown);
+            el.removeEventListener('pointerleave', onPointerLeave);
+            if (gsap) {
+                gsap.killTweensOf(el);
+                gsap.set(el, { clearProps: 'transform' });
+            } else {
+                clearTimeout(releaseTimer);
+                el.style.transform = '';
+            }
         });
     });
+
+    return () => cleanups.forEach((cleanup) => cleanup());
 }
@@ -0,0 +1,187 @@
+/**
+ * input.js
+ * --------
+ * Pointer input abstraction for the 3D background.
+ *
+ * Produces one normalised position (-1 to 1 on each axis, y pointing down
+ * the screen) from whichever input the visitor has:
+ *   - Mouse / pen  -- follows the pointer directly
+ *   - Touch        -- follows the finger while dragging, and stays where it
+ *                     was lifted
+ *   - Device tilt  -- DeviceOrientationEvent, once enableOrientation() has
+ *                     been granted permission; eased, and ignored while a
+ *                     finger is down or in reduced-motion mode
+ *
+ * The main loop reads `x` / `y` after calling update() each frame and feeds
+ * them to scene.setMouse(), so phones get the spotlight, parallax and trail
+ * too.
+ *
+ * No external dependencies.
+ */
+
+const COARSE_QUERY = '(pointer: coarse)';
+
+// Degrees of tilt that map to the edge of the screen
+const TILT_RANGE = 25;
+
+// Seconds after the last touch before tilt takes over again
+const TOUCH_HOLD = 1.5;
+
+const clamp = (v) => Math.max(-1, Math.min(1, v));
+
+export class PointerInput {
+    /**
+     * @param {Object} [motion] - A MotionPreference; tilt is ignored while reduced.
+     */
+    constructor(motion) {
+        this.motion = motion || null;
+
+        // Normalised output position
+        this.x = 0;
+        this.y = 0;
+
+        // Which input last moved the position: 'mouse', 'touch', 'tilt' or null
+        this.source = null;
+
+        // Live coarse-pointer (touch-first device) state
+        this._media = window.matchMedia ? window.matchMedia(COARSE_QUERY) : null;
+        this.coarse = !!(this._media && this._media.matches);
+        this._handleMediaChange = () => { this.coarse = this._media.matches; };
+        if (this._media) this._media.addEventListener('change', this._handleMediaChange);
+
+        // Tilt state -- null until the first reading arrives
+        this.orientationEnabled = false;
+        this._tiltX = null;
+        this._tiltY = null;
+        this._tiltBase = null;
+        this._tiltAngle = null;
+        this._lastTouch = -Infinity;
+        this._touching = false;
+
+        // Bound handlers so they can be removed in destroy()
+        this._onPointerMove = (e) => {
+            // Touch is handled through touch events, which keep firing
+            // while the page scrolls under the finger
+            if (e.pointerType === 'touch') return;
+            this._set(e.clientX, e.clientY, 'mouse');
+        };
+        this._onTouch = (e) => {
+            const touch = e.touches[0];
+            if (!touch) return;
+            this._touching = true;
+            this._lastTouch = performance.now();
+            this._set(touch.clientX, touch.clientY, 'touch');
+        };
+        this._onTouchEnd = (e) => {
+            this._touching = e.touches.length > 0;
+            this._lastTouch = performance.now();
+        };
+        this._onOrientation = (e) => this._handleOrientation(e);
+
+        window.addEventListener('pointermove', this._onPointerMove);
+        window.addEventListener('touchstart', this._onTouch, { passive: true });
+        window.addEventListener('touchmove', this._onTouch, { passive: true });
+        window.addEventListener('touchend', this._onTouchEnd, { passive: true });
+        window.addEventListener('touchcancel', this._onTouchEnd, { passive: true });
+    }
+
+    // -------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------
+
+    /**
+     * Starts listening to device tilt. On iOS this shows a permission prompt
+     * and must be called from a user gesture (e.g. a touchend handler).
+     * @returns {Promise<boolean>} Whether tilt input is now active
+     */
+    async enableOrientation() {
+        if (this.orientationEnabled) return true;
+        if (typeof DeviceOrientationEvent === 'undefined') return false;
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const state = await DeviceOrientationEvent.requestPermission();
+                if (state !== 'granted') return false;
+            } catch (_) {
+                // Rejected outside a user gesture, or dismissed
+                return false;
+            }
+        }
+
+        window.addEventListener('deviceorientation', this._onOrientation);
+        this.orientationEnabled = true;
+        return true;
+    }
+
+    /**
+     * Call once per frame. Eases the position toward the device tilt when
+     * tilt is driving it.
+     */
+    update() {
+        if (this._tiltX === null) return;
+        if (this.motion && this.motion.reduced) return;
+
+        const touchActive = this._touching ||
+            performance.now() - this._lastTouch < TOUCH_HOLD * 1000;
+        if (touchActive || this.source === 'mouse') return;
+
+        // Orientation sensors are noisy -- ease rather than jump
+        this.x += (this._tiltX - this.x) * 0.08;
+        this.y += (this._tiltY - this.y) * 0.08;
+        this.source = 'tilt';
+    }
+
+    /**
+     * Removes every listener so the instance can be garbage-collected.
+     */
+    destroy() {
+        window.removeEventListener('pointermove', this._onPointerMove);
+        window.removeEventListener('touchstart', this._onTouch);
+        window.removeEventListener('touchmove', this._onTouch);
+        window.removeEventListener('touchend', this._onTouchEnd);
+        window.removeEventListener('touchcancel', this._onTouchEnd);
+        window.removeEventListener('deviceorientation', this._onOrientation);
+        if (this._media) this._media.removeEventListener('change', this._handleMediaChange);
+        this.orientationEnabled = false;
+    }
+
+    // -------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------
+
+    _set(clientX, clientY, source) {
+        this.x = (clientX / window.innerWidth)  * 2 - 1;
+        this.y = (clientY / window.innerHeight) * 2 - 1;
+        this.source = source;
+    }
+
+    /**
+     * Maps beta (front/back) and gamma (left/right) to screen axes. The
+     * first reading after an orientation change becomes the neutral pose,
+     * so however the phone is held counts as "centre".
+     * @param {DeviceOrientationEvent} e
+     */
+    _handleOrientation(e) {
+        if (e.beta === null || e.gamma === null) return;
+
+        const angle = (screen.orientation && screen.orientation.angle) || 0;
+        if (angle !== this._tiltAngle) {
+            this._tiltAngle = angle;
+            this._tiltBase = null;
+        }
+
+        // Rotate the device axes into screen axes for landscape
+        let tx = e.gamma;
+        let ty = e.beta;
+        if (angle === 90) {
+            [tx, ty] = [e.beta, -e.gamma];
+        } else if (angle === 270) {
+            [tx, ty] = [-e.beta, e.gamma];
+        }
+
+        if (this._tiltBase === null) this._tiltBase = { x: tx, y: ty };
+
+        this._tiltX = clamp((tx - this._tiltBase.x) / TILT_RANGE);
+        this._tiltY = clamp((ty - this._tiltBase.y) / TILT_RANGE);
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * moods.js
+ * --------
+ * Declarative per-section "moods" for the 3D background.
+ *
+ * Each entry is keyed by a `[data-section]` value in index.html. As
+ * ScrollManager reports the active section, Scene tweens smoothly from the
+ * current mood to the new one, so every part of the portfolio gets its own
+ * visual identity.
+ *
+ * Entries are relative to the Scene options (options.js), so the same moods
+ * work whatever base camera distance, opacity or bloom a page configures.
+ *
+ * Entry schema:
+ *   camera.offset           -- [x, y, z] offset from the base pose (0, 0, camera.z)
+ *   camera.target           -- [x, y, z] point the camera looks at
+ *   wireframes.offset       -- [x, y, z] added to every wireframe's home position
+ *   wireframes.spread       -- multiplier on the home positions (1 = original layout)
+ *   wireframes.scale        -- uniform scale of each wireframe
+ *   wireframes.opacityScale -- multiplier on options.wireframes.opacity
+ *   bloomScale              -- multiplier on options.bloom.strength
+ *   palette.base            -- [r, g, b] dominant background colour
+ *   palette.highlight       -- [r, g, b] colour mixed in by the noise field
+ *   palette.glow            -- [r, g, b] breathing undertone
+ *   palette.accent          -- [r, g, b] colour of the high-noise regions
+ *
+ * Colours are linear 0-1 and deliberately dark -- the shader darkens the
+ * result further so white text stays readable.
+ *
+ * The hero palette doubles as the dark theme's look. Once Scene has a theme
+ * (theme.js) the theme's --scene-* colours replace it, and every other
+ * section keeps its difference from hero -- so keep hero in step with the
+ * dark theme in style.css.
+ */
+
+export const DEFAULT_SECTION = 'hero';
+
+export const SECTION_MOODS = {
+    // The original look of the site
+    hero: {
+        camera:     { offset: [0, 0, 0], target: [0, 0, 0] },
+        wireframes: { offset: [0, 0, 0], spread: 1.0, scale: 1.0, opacityScale: 1.0 },
+        bloomScale: 1.0,
+        palette: {
+            base:      [0.02, 0.02, 0.08],
+            highlight: [0.10, 0.13, 0.25],
+            glow:      [0.00, 0.15, 0.20],
+            accent:    [0.10, 0.02, 0.15]
+        }
+    },
+
+    // Calm teal -- camera drifts slightly left
+    about: {
+        camera:     { offset: [-2, 1, -1], target: [0, 0, 0] },
+        wireframes: { offset: [2, 0, 0], spread: 1.1, scale: 0.9, opacityScale: 0.83 },
+        bloomScale: 0.9,
+        palette: {
+            base:      [0.03, 0.08, 0.12],
+            highlight: [0.08, 0.15, 0.22],
+            glow:      [0.00, 0.18, 0.20],
+            accent:    [0.06, 0.04, 0.14]
+        }
+    },
+
+    // Denser, brighter cluster -- "toolbox" feel
+    skills: {
+        camera:     { offset: [2, -1, -3], target: [0, -1, 0] },
+        wireframes: { offset: [0, 0, 2], spread: 0.85, scale: 1.1, opacityScale: 1.33 },
+        bloomScale: 1.1,
+        palette: {
+            base:      [0.03, 0.07, 0.13],
+            highlight: [0.08, 0.16, 0.26],
+            glow:      [0.00, 0.20, 0.24],
+            accent:    [0.08, 0.03, 0.16]
+        }
+    },
+
+    // Purple, looking slightly down the timeline
+    experience: {
+        camera:     { offset: [0, 3, 0], target: [0, -2, 0] },
+        wireframes: { offset: [-2, 0, 0], spread: 1.0, scale: 1.0, opacityScale: 1.0 },
+        bloomScale: 1.0,
+        palette: {
+            base:      [0.08, 0.03, 0.13],
+            highlight: [0.14, 0.10, 0.26],
+            glow:      [0.04, 0.10, 0.20],
+            accent:    [0.14, 0.03, 0.18]
+        }
+    },
+
+    // Wide and glowing -- wireframes spread out behind the horizontal track
+    projects: {
+        camera:     { offset: [3, 0, 2], target: [1, 0, 0] },
+        wireframes: { offset: [0, 0, -2], spread: 1.35, scale: 1.15, opacityScale: 1.17 },
+        bloomScale: 1.4,
+        palette: {
+            base:      [0.07, 0.03, 0.12],
+            highlight: [0.12, 0.12, 0.28],
+            glow:      [0.02, 0.16, 0.24],
+            accent:    [0.12, 0.02, 0.18]
+        }
+    },
+
+    // Quiet blue-purple
+    education: {
+        camera:     { offset: [-1, -2, 0], target: [0, 0, 0] },
+        wireframes: { offset: [0, 2, 0], spread: 1.05, scale: 0.95, opacityScale: 0.83 },
+        bloomScale: 0.9,
+        palette: {
+            base:      [0.04, 0.04, 0.11],
+            highlight: [0.10, 0.12, 0.24],
+            glow:      [0.00, 0.12, 0.18],
+            accent:    [0.09, 0.02, 0.14]
+        }
+    },
+
+    // Camera pulls back and the wireframes gather in -- a closing shot
+    contact: {
+        camera:     { offset: [0, 0, 4], target: [0, 0, 0] },
+        wireframes: { offset: [0, 0, 0], spread: 0.7, scale: 0.85, opacityScale: 1.17 },
+        bloomScale: 1.2,
+        palette: {
+            base:      [0.03, 0.03, 0.10],
+            highlight: [0.10, 0.14, 0.26],
+            glow:      [0.00, 0.18, 0.24],
+            accent:    [0.10, 0.03, 0.16]
+        }
+    }
+};
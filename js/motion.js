@@ -0,0 +1,146 @@
+/**
+ * motion.js
+ * ---------
+ * Single source of truth for the site's reduced-motion mode.
+ *
+ * Follows the `prefers-reduced-motion` media query live, and lets the visitor
+ * override it with the #motion-toggle button. The override is persisted in
+ * localStorage so it survives across visits.
+ *
+ * While reduced motion is active the <html> element carries the
+ * `.reduced-motion` class (for the stylesheet) and every subscriber
+ * registered with onChange() is notified so it can adapt:
+ *   - Scene          -- near-static shader, no trail or velocity distortion
+ *   - ScrollManager  -- native scrolling, instant reveals, projects grid
+ *   - fx.js          -- no scramble, tilt or magnetic effects
+ *
+ * No external dependencies.
+ */
+
+const STORAGE_KEY = 'motion-preference';
+const MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+
+export class MotionPreference {
+    /**
+     * @param {HTMLElement} [toggleButton] - The #motion-toggle DOM element.
+     */
+    constructor(toggleButton) {
+        this.toggleButton = toggleButton || null;
+        this._listeners = new Set();
+
+        // Live system preference
+        this._media = window.matchMedia ? window.matchMedia(MEDIA_QUERY) : null;
+        this._handleMediaChange = () => this._update();
+        if (this._media) {
+            this._media.addEventListener('change', this._handleMediaChange);
+        }
+
+        // Persisted user override: 'reduce', 'full' or null (follow the system)
+        this.override = this._readOverride();
+
+        // Bind the click handler so it can be removed later if needed
+        this._handleClick = () => this.toggle();
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', this._handleClick);
+        }
+
+        this.reduced = this._resolve();
+        this._applyToDocument();
+    }
+
+    // -------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------
+
+    /**
+     * Registers a callback fired with the new `reduced` boolean whenever the
+     * effective mode changes.
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * Sets (and persists) a user override.
+     * @param {'reduce'|'full'|null} value - null clears it and follows the system again
+     */
+    setOverride(value) {
+        this.override = value === 'reduce' || value === 'full' ? value : null;
+
+        try {
+            if (this.override) {
+                localStorage.setItem(STORAGE_KEY, this.override);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (_) {
+            // Storage can be unavailable (private mode, blocked cookies) --
+            // the override still applies for this visit
+        }
+
+        this._update();
+    }
+
+    /**
+     * Flips the effective mode. If that lands back on what the system asks
+     * for, the override is cleared instead of stored.
+     */
+    toggle() {
+        const wantReduced = !this.reduced;
+        const systemReduced = !!(this._media && this._media.matches);
+
+        this.setOverride(wantReduced === systemReduced ? null : (wantReduced ? 'reduce' : 'full'));
+    }
+
+    /**
+     * Removes listeners so the instance can be garbage-collected.
+     */
+    destroy() {
+        if (this._media) {
+            this._media.removeEventListener('change', this._handleMediaChange);
+        }
+        if (this.toggleButton) {
+            this.toggleButton.removeEventListener('click', this._handleClick);
+        }
+        this._listeners.clear();
+    }
+
+    // -------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------
+
+    _readOverride() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'reduce' || stored === 'full' ? stored : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    _resolve() {
+        if (this.override) return this.override === 'reduce';
+        return !!(this._media && this._media.matches);
+    }
+
+    _update() {
+        const reduced = this._resolve();
+        if (reduced === this.reduced) return;
+
+        this.reduced = reduced;
+        this._applyToDocument();
+        this._listeners.forEach((callback) => callback(reduced));
+    }
+
+    _applyToDocument() {
+        document.documentElement.classList.toggle('reduced-motion', this.reduced);
+
+        if (this.toggleButton) {
+            this.toggleButton.classList.toggle('active', this.reduced);
+            this.toggleButton.setAttribute('aria-pressed', String(this.reduced));
+        }
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * options.js
+ * ----------
+ * Option schema, defaults and validation for the Scene background.
+ *
+ * `new Scene(canvas, options)` and `scene.configure(partialOptions)` both go
+ * through resolveSceneOptions(), which deep-merges the partial options over a
+ * base (the defaults, or the scene's current options) and validates the result.
+ * The defaults reproduce the original look of the site.
+ *
+ * Schema (every key optional when passing options):
+ *
+ *   camera.fov               -- vertical field of view in degrees (1-179)
+ *   camera.z                 -- distance of the base camera pose from the origin
+ *
+ *   background               -- background shader preset, one of BACKGROUND_PRESETS;
+ *                               changing it crossfades to the new preset
+ *
+ *   wireframes.color         -- colour of every wireframe (see "Colours" below)
+ *   wireframes.opacity       -- base opacity (0-1); section moods scale it
+ *   wireframes.items[]       -- replaces the whole list when given:
+ *       name                 -- identifier, reported in `wireframeclick` events
+ *       section              -- related [data-section], reported in the same event
+ *       geometry             -- one of WIREFRAME_GEOMETRIES
+ *       args                 -- constructor arguments for that Three.js geometry
+ *       position             -- [x, y, z] home position
+ *       speed                -- rotation/bob speed multiplier
+ *
+ *   stars.count              -- star count at the top quality tier (integer >= 0)
+ *   stars.color              -- tint the star colour temperatures are pulled toward
+ *   stars.size               -- size multiplier
+ *   stars.opacity            -- 0-1
+ *
+ *   trail.length             -- ring buffer capacity in points (integer >= 1)
+ *   trail.lifetime           -- seconds before a point has fully faded
+ *   trail.size               -- point size
+ *   trail.opacity            -- 0-1
+ *   trail.spacing            -- world units of cursor travel per emitted point
+ *   trail.maxPerFrame        -- emission cap per frame (integer >= 1)
+ *   trail.color              -- head colour
+ *   trail.tailColor          -- optional tail colour for a gradient, or null
+ *
+ *   bloom.strength           -- base strength; section moods scale it
+ *   bloom.radius             -- 0-1
+ *   bloom.threshold          -- luminance threshold, 0-1
+ *
+ *   toneMappingExposure      -- ACES filmic exposure (> 0)
+ *   maxPixelRatio            -- cap on devicePixelRatio (quality tiers cap it further)
+ *   seed                     -- integer seed for the star field, wireframe rotations
+ *                               and click bursts (see random.js), or null for a
+ *                               different scene on every load
+ *
+ *   moods                    -- section moods, see moods.js for the entry schema
+ *
+ * Colours: [r, g, b] with 0-1 components, a hex number (0x8899cc) or a hex
+ * string ('#8899cc' or '#89c'). Other CSS colour strings are rejected.
+ *
+ * Invalid options throw a TypeError (wrong type / unknown key) or a
+ * RangeError (out of range), prefixed with the offending path.
+ *
+ * resolveUniformOverride() does the same for Scene.setUniformOverride(),
+ * which pins one of the background's UNIFORM_OVERRIDES (the debug panel's
+ * shader controls) instead of letting the scene drive it, and resolveFrame()
+ * for the frame Scene.renderAt() draws.
+ */
+
+import { SECTION_MOODS } from './moods.js';
+
+/** Geometry types accepted by wireframes.items[].geometry */
+export const WIREFRAME_GEOMETRIES = [
+    'box', 'sphere', 'tetrahedron', 'octahedron', 'dodecahedron',
+    'icosahedron', 'torus', 'torusKnot'
+];
+
+/** Background shader presets accepted by the background option (see shaders.js) */
+export const BACKGROUND_PRESETS = ['nebula', 'aurora', 'voronoi', 'flow', 'grid'];
+
+export const DEFAULT_SCENE_OPTIONS = {
+    camera: { fov: 45, z: 30 },
+
+    background: 'nebula',
+
+    wireframes: {
+        color: [0.35, 0.5, 0.9],
+        opacity: 0.12,
+        items: [
+            { name: 'icosahedron',  section: 'about',      geometry: 'icosahedron',  args: [3.5, 1],                  position: [-10, 6, -15], speed: 1.0 },
+            { name: 'octahedron',   section: 'skills',     geometry: 'octahedron',   args: [2.5, 0],                  position: [12, -4, -20], speed: 0.7 },
+            { name: 'torus',        section: 'experience', geometry: 'torus',        args: [2.8, 0.6, 8, 24],         position: [-6, -8, -12], speed: 0.5 },
+            { name: 'dodecahedron', section: 'projects',   geometry: 'dodecahedron', args: [2.0, 0],                  position: [8, 8, -18],   speed: 0.9 },
+            // 5th wireframe: TorusKnot for variety
+            { name: 'torusKnot',    section: 'contact',    geometry: 'torusKnot',    args: [2.0, 0.5, 64, 8, 2, 3],   position: [0, -12, -16], speed: 0.6 }
+        ]
+    },
+
+    stars: {
+        count: 1000,
+        color: [0.53, 0.6, 0.8],
+        size: 1,
+        opacity: 0.4
+    },
+
+    trail: {
+        length: 100,
+        lifetime: 0.8,
+        size: 2,
+        opacity: 0.25,
+        spacing: 0.2,
+        maxPerFrame: 6,
+        color: [0.3, 0.8, 1.0], // cyan tint
+        tailColor: null
+    },
+
+    bloom: { strength: 0.5, radius: 0.5, threshold: 0.7 },
+
+    toneMappingExposure: 1.0,
+    maxPixelRatio: 2,
+    seed: null,
+
+    moods: SECTION_MOODS
+};
+
+/**
+ * Deep-merge `partial` over `base` and validate the result.
+ * Plain objects merge key by key; arrays and other values replace.
+ *
+ * @param {Object} [partial] - Options to apply
+ * @param {Object} [base]    - Options to merge onto (defaults to DEFAULT_SCENE_OPTIONS)
+ * @returns {Object} A new, fully-populated options object
+ */
+export function resolveSceneOptions(partial = {}, base = DEFAULT_SCENE_OPTIONS) {
+    if (!isPlainObject(partial)) {
+        throw new TypeError('Scene options: expected an object');
+    }
+
+    const merged = merge(base, partial);
+    validate(merged);
+    return merged;
+}
+
+/**
+ * Background uniforms Scene.setUniformOverride() can pin, with the number of
+ * components each takes. The others are sizes, clocks or palette arrays the
+ * scene owns outright.
+ */
+export const UNIFORM_OVERRIDES = { scroll: 1, velocity: 1, themeExposure: 1, mouse: 2, audio: 3 };
+
+/**
+ * Validate a uniform override.
+ * @param {string} name - A key of UNIFORM_OVERRIDES
+ * @param {number|number[]|null} value - A number for one component, an array
+ *                                       for several; null clears the override
+ * @returns {number[]|null} The components, or null to clear
+ */
+export function resolveUniformOverride(name, value) {
+    const size = UNIFORM_OVERRIDES[name];
+    if (!size) {
+        throw new TypeError(`Uniform override: unknown uniform "${name}" -- expected one of ${Object.keys(UNIFORM_OVERRIDES).join(', ')}`);
+    }
+    if (value === null || value === undefined) return null;
+
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length !== size || values.some((n) => typeof n !== 'number' || !Number.isFinite(n))) {
+        throw new TypeError(`Uniform override: ${name} must be ${size === 1 ? 'a finite number' : `an array of ${size} numbers`}`);
+    }
+    return values.slice();
+}
+
+/**
+ * Fill in and validate a frame for Scene.renderAt().
+ * @param {Object} [frame] - { time, scroll, mouse, velocity }, each optional
+ * @returns {Object} { time, scroll, mouse: [x, y], velocity } with defaults filled in
+ */
+export function resolveFrame(frame = {}) {
+    if (!isPlainObject(frame)) throw new TypeError('renderAt: expected an object');
+
+    const { time = 0, scroll = 0, mouse = [0, 0], velocity = 0 } = frame;
+    if (!Array.isArray(mouse) || mouse.length !== 2) {
+        throw new TypeError('renderAt: mouse must be an [x, y] array');
+    }
+
+    const values = { time, scroll, 'mouse[0]': mouse[0], 'mouse[1]': mouse[1], velocity };
+    for (const [name, value] of Object.entries(values)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new TypeError(`renderAt: ${name} must be a finite number`);
+        }
+    }
+    if (time < 0) throw new RangeError(`renderAt: time must be 0 or more (got ${time})`);
+    if (scroll < 0 || scroll > 1) throw new RangeError(`renderAt: scroll must be between 0 and 1 (got ${scroll})`);
+
+    return { time, scroll, mouse: mouse.slice(), velocity };
+}
+
+// ----------------------------------------------------------------
+// Merging
+// ----------------------------------------------------------------
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, partial) {
+    const out = {};
+
+    for (const key of Object.keys(base)) {
+        out[key] = clone(base[key]);
+    }
+
+    for (const key of Object.keys(partial)) {
+        const value = partial[key];
+        if (value === undefined) continue;
+
+        out[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? merge(base[key], value)
+            : clone(value);
+    }
+
+    return out;
+}
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (isPlainObject(value)) return merge(value, {});
+    return value;
+}
+
+// ----------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------
+
+function validate(o) {
+    checkKeys('', o, DEFAULT_SCENE_OPTIONS);
+
+    checkKeys('camera', o.camera, DEFAULT_SCENE_OPTIONS.camera);
+    checkNumber('camera.fov', o.camera.fov, 1, 179);
+    checkNumber('camera.z', o.camera.z, 0.1);
+
+    if (!BACKGROUND_PRESETS.includes(o.background)) {
+        throw new TypeError(`Scene options: background must be one of ${BACKGROUND_PRESETS.join(', ')}`);
+    }
+
+    checkKeys('wireframes', o.wireframes, DEFAULT_SCENE_OPTIONS.wireframes);
+    checkColor('wireframes.color', o.wireframes.color);
+    checkNumber('wireframes.opacity', o.wireframes.opacity, 0, 1);
+    if (!Array.isArray(o.wireframes.items)) {
+        throw new TypeError('Scene options: wireframes.items must be an array');
+    }
+    o.wireframes.items.forEach((item, i) => {
+        const path = `wireframes.items[${i}]`;
+        if (!isPlainObject(item)) throw new TypeError(`Scene options: ${path} must be an object`);
+        checkString(`${path}.name`, item.name);
+        if (item.section !== undefined && item.section !== null) checkString(`${path}.section`, item.section);
+        if (!WIREFRAME_GEOMETRIES.includes(item.geometry)) {
+            throw new TypeError(`Scene options: ${path}.geometry must be one of ${WIREFRAME_GEOMETRIES.join(', ')}`);
+        }
+        if (item.args !== undefined) checkNumberArray(`${path}.args`, item.args);
+        checkVec3(`${path}.position`, item.position);
+        checkNumber(`${path}.speed`, item.speed, 0);
+    });
+
+    checkKeys('stars', o.stars, DEFAULT_SCENE_OPTIONS.stars);
+    checkInteger('stars.count', o.stars.count, 0);
+    checkColor('stars.color', o.stars.color);
+    checkNumber('stars.size', o.stars.size, 0);
+    checkNumber('stars.opacity', o.stars.opacity, 0, 1);
+
+    checkKeys('trail', o.trail, DEFAULT_SCENE_OPTIONS.trail);
+    checkInteger('trail.length', o.trail.length, 1);
+    checkNumber('trail.lifetime', o.trail.lifetime, 0.01);
+    checkNumber('trail.size', o.trail.size, 0);
+    checkNumber('trail.opacity', o.trail.opacity, 0, 1);
+    checkNumber('trail.spacing', o.trail.spacing, 0.001);
+    checkInteger('trail.maxPerFrame', o.trail.maxPerFrame, 1);
+    checkColor('trail.color', o.trail.color);
+    if (o.trail.tailColor !== null) checkColor('trail.tailColor', o.trail.tailColor);
+
+    checkKeys('bloom', o.bloom, DEFAULT_SCENE_OPTIONS.bloom);
+    checkNumber('bloom.strength', o.bloom.strength, 0);
+    checkNumber('bloom.radius', o.bloom.radius, 0, 1);
+    checkNumber('bloom.threshold', o.bloom.threshold, 0, 1);
+
+    checkNumber('toneMappingExposure', o.toneMappingExposure, 0.001);
+    checkNumber('maxPixelRatio', o.maxPixelRatio, 0.25);
+    if (o.seed !== null) checkInteger('seed', o.seed, 0);
+
+    if (!isPlainObject(o.moods)) throw new TypeError('Scene options: moods must be an object');
+    for (const [name, mood] of Object.entries(o.moods)) {
+        validateMood(`moods.${name}`, mood);
+    }
+}
+
+function validateMood(path, m) {
+    if (!isPlainObject(m)) throw new TypeError(`Scene options: ${path} must be an object`);
+    if (!isPlainObject(m.camera)) throw new TypeError(`Scene options: ${path}.camera must be an object`);
+    checkVec3(`${path}.camera.offset`, m.camera.offset);
+    checkVec3(`${path}.camera.target`, m.camera.target);
+    if (!isPlainObject(m.wireframes)) throw new TypeError(`Scene options: ${path}.wireframes must be an object`);
+    checkVec3(`${path}.wireframes.offset`, m.wireframes.offset);
+    checkNumber(`${path}.wireframes.spread`, m.wireframes.spread, 0);
+    checkNumber(`${path}.wireframes.scale`, m.wireframes.scale, 0);
+    checkNumber(`${path}.wireframes.opacityScale`, m.wireframes.opacityScale, 0);
+    checkNumber(`${path}.bloomScale`, m.bloomScale, 0);
+    if (!isPlainObject(m.palette)) throw new TypeError(`Scene options: ${path}.palette must be an object`);
+    for (const key of ['base', 'highlight', 'glow', 'accent']) {
+        checkColor(`${path}.palette.${key}`, m.palette[key]);
+    }
+}
+
+function checkKeys(path, value, reference) {
+    if (!isPlainObject(value)) throw new TypeError(`Scene options: ${path} must be an object`);
+    for (const key of Object.keys(value)) {
+        if (!(key in reference)) {
+            throw new TypeError(`Scene options: unknown option "${path ? path + '.' : ''}${key}"`);
+        }
+    }
+}
+
+function checkNumber(path, value, min = -Infinity, max = Infinity) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new TypeError(`Scene options: ${path} must be a finite number`);
+    }
+    if (value < min || value > max) {
+        throw new RangeError(`Scene options: ${path} must be between ${min} and ${max} (got ${value})`);
+    }
+}
+
+function checkInteger(path, value, min = 0) {
+    checkNumber(path, value, min);
+    if (!Number.isInteger(value)) throw new TypeError(`Scene options: ${path} must be an integer`);
+}
+
+function checkString(path, value) {
+    if (typeof value !== 'string' || !value) throw new TypeError(`Scene options: ${path} must be a non-empty string`);
+}
+
+function checkNumberArray(path, value) {
+    if (!Array.isArray(value) || value.some((n) => typeof n !== 'number' || !Number.isFinite(n))) {
+        throw new TypeError(`Scene options: ${path} must be an array of numbers`);
+    }
+}
+
+function checkVec3(path, value) {
+    checkNumberArray(path, value);
+    if (value.length !== 3) throw new TypeError(`Scene options: ${path} must be an [x, y, z] array`);
+}
+
+// Only the formats every renderer parses -- FallbackScene has no CSS colour
+// parser, so names and rgb() would be accepted here and drawn black there
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function checkColor(path, value) {
+    if (typeof value === 'string' && HEX_COLOR.test(value)) return;
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) return;
+    if (Array.isArray(value) && value.length === 3 &&
+        value.every((n) => typeof n === 'number' && n >= 0 && n <= 1)) return;
+
+    throw new TypeError(`Scene options: ${path} must be [r, g, b] (0-1), a hex number or a '#rrggbb' / '#rgb' string`);
+}
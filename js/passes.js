@@ -0,0 +1,86 @@
+/**
+ * passes.js
+ * ---------
+ * Post-processing passes for Scene's pass stack (see Scene.addPass()).
+ *
+ * The stack sits between the bloom and the output pass, so these passes see
+ * the whole rendered frame -- background, wireframes, stars and trail -- in
+ * linear colour, before tone mapping.
+ *
+ * Every pass reacts to scroll velocity (ScrollManager's Lenis velocity, as
+ * Scene.setVelocity() receives it) and is an exact no-op at rest, so update()
+ * reports whether it has anything to do and Scene skips it otherwise. In
+ * reduced-motion mode the velocity stays at zero and so do they.
+ *
+ * Passes:
+ *   chromaticAberration -- red/blue fringing toward the edges
+ *   motionBlur          -- radial zoom blur
+ *   scanlines           -- CRT scanlines, a rolling band and grain
+ *
+ * Each entry of POST_PASSES is { shader, update(pass, frame) }, where frame
+ * is { velocity, time, width, height } (drawing-buffer pixels) and update()
+ * returns false while the pass would leave the image unchanged.
+ */
+
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { ChromaticAberrationShader, RadialBlurShader, ScanlineShader } from './shaders.js';
+
+// Velocity past which the effects stop growing
+const MAX_VELOCITY = 1.5;
+
+// Effect level below which the pass is invisible and skipped
+const EPSILON = 1e-3;
+
+/**
+ * Scroll velocity as a 0-1 effect level, eased in so slow scrolling stays clean.
+ * @param {number} velocity
+ * @returns {number}
+ */
+function level(velocity) {
+    const t = Math.min(velocity / MAX_VELOCITY, 1);
+    return t * t;
+}
+
+export const POST_PASSES = {
+    chromaticAberration: {
+        shader: ChromaticAberrationShader,
+        update(pass, frame) {
+            const l = level(frame.velocity);
+            pass.uniforms.amount.value = l * 0.02;
+            return l > EPSILON;
+        }
+    },
+
+    motionBlur: {
+        shader: RadialBlurShader,
+        update(pass, frame) {
+            const l = level(frame.velocity);
+            pass.uniforms.strength.value = l * 0.06;
+            return l > EPSILON;
+        }
+    },
+
+    scanlines: {
+        shader: ScanlineShader,
+        update(pass, frame) {
+            const l = level(frame.velocity);
+            pass.uniforms.intensity.value = l * 0.8;
+            pass.uniforms.time.value = frame.time;
+            pass.uniforms.resolution.value.set(frame.width, frame.height);
+            return l > EPSILON;
+        }
+    }
+};
+
+// The stack a new Scene starts with, in order
+export const DEFAULT_POST_PASSES = ['motionBlur', 'chromaticAberration', 'scanlines'];
+
+/**
+ * Create a pass by name.
+ * @param {string} name - A key of POST_PASSES
+ * @returns {ShaderPass|null} null for unknown names
+ */
+export function createPostPass(name) {
+    const def = POST_PASSES[name];
+    return def ? new ShaderPass(def.shader) : null;
+}
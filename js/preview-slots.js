@@ -0,0 +1,48 @@
+/**
+ * preview-slots.js
+ * ----------------
+ * Finds the project cards that declare a 3D preview and measures where
+ * their preview slots are on screen, for Scene.setPreviews().
+ *
+ * Markup:
+ *   <div class="project-card" data-preview="drone">
+ *       <div class="project-preview" aria-hidden="true"></div>
+ *       ...
+ *   </div>
+ *
+ * The slot is the transparent window the scene draws the model behind;
+ * without one the whole card is used. Rects are in viewport coordinates,
+ * which are the canvas' coordinates because #bg is fixed over the viewport.
+ *
+ * Measured every frame from the main loop: the horizontal track, hover lift
+ * and tilt all move the cards with transforms, which fire no events.
+ * GSAP's ticker runs before the loop's requestAnimationFrame callback, so
+ * the rects include this frame's scroll.
+ *
+ * No external dependencies.
+ */
+
+export class PreviewSlots {
+    /**
+     * @param {ParentNode} [root] - Where to look for [data-preview] cards
+     */
+    constructor(root = document) {
+        this.slots = Array.from(root.querySelectorAll('[data-preview]'), (card) => ({
+            type: card.dataset.preview,
+            element: card.querySelector('.project-preview') || card
+        }));
+    }
+
+    /**
+     * Measure every slot and hand the rects to the scene.
+     * @param {Object} scene - Scene, WorkerScene or FallbackScene
+     */
+    update(scene) {
+        if (!this.slots.length) return;
+
+        scene.setPreviews(this.slots.map(({ type, element }) => {
+            const rect = element.getBoundingClientRect();
+            return { type, x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        }));
+    }
+}
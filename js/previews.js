@@ -0,0 +1,359 @@
+/**
+ * previews.js
+ * -----------
+ * Small 3D models shown inside the project cards.
+ *
+ * Each `.project-card[data-preview="<type>"]` names one of the types below.
+ * Scene (scene.js) renders them with its own WebGLRenderer into a scissored
+ * viewport over the card's `.project-preview` slot, after the background
+ * has been drawn -- so there is no extra WebGL context per card.
+ *
+ * Types:
+ *   network -- layered neural network, activations sweeping through it
+ *   hub     -- home automation hub with sensors orbiting it
+ *   graph   -- left-to-right pipeline graph with packets flowing along the edges
+ *   drone   -- quadcopter hovering with spinning rotors
+ *
+ * Every preview owns a THREE.Scene and camera, is animated from scene time
+ * (so reduced motion slows it like everything else), and draws unlit lines
+ * and wireframes in the site's cyan/violet so it needs no lights.
+ */
+
+import * as THREE from 'three';
+
+const PRIMARY = 0x00e5ff;
+const SECONDARY = 0x7c4dff;
+
+/**
+ * Base class: a scene, a camera looking at the origin and a `root` group
+ * that subclasses fill and animate.
+ */
+class Preview {
+    constructor() {
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(35, 1, 0.1, 100);
+        this.camera.position.set(0, 1.2, 8);
+        this.camera.lookAt(0, 0, 0);
+
+        this.root = new THREE.Group();
+        this.scene.add(this.root);
+    }
+
+    /**
+     * Pose the model for a point in scene time.
+     * @param {number} time - Seconds
+     */
+    update(time) {
+        this.root.rotation.y = time * 0.4;
+    }
+
+    /**
+     * Draw into whatever viewport the renderer is currently set to.
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {number} aspect - Viewport width / height
+     */
+    render(renderer, aspect) {
+        if (this.camera.aspect !== aspect) {
+            this.camera.aspect = aspect;
+            this.camera.updateProjectionMatrix();
+        }
+        renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Free every geometry and material (shared geometries are simply
+     * disposed more than once, which is harmless).
+     */
+    dispose() {
+        this.scene.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+        this.scene.clear();
+    }
+
+    // -------------------------------------------------------
+    // Building blocks
+    // -------------------------------------------------------
+
+    /**
+     * Line segments between pairs of points.
+     * @param {Array<[THREE.Vector3, THREE.Vector3]>} pairs
+     * @param {number} color
+     * @param {number} opacity
+     * @returns {THREE.LineSegments}
+     */
+    _edges(pairs, color, opacity) {
+        const positions = new Float32Array(pairs.length * 6);
+        pairs.forEach(([a, b], i) => {
+            a.toArray(positions, i * 6);
+            b.toArray(positions, i * 6 + 3);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color,
+            transparent: true,
+            opacity
+        }));
+    }
+
+    /**
+     * A wireframe mesh.
+     * @param {THREE.BufferGeometry} geometry
+     * @param {number} color
+     * @param {number} [opacity]
+     * @returns {THREE.Mesh}
+     */
+    _wire(geometry, color, opacity = 0.9) {
+        return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color,
+            wireframe: true,
+            transparent: true,
+            opacity
+        }));
+    }
+}
+
+// ----------------------------------------------------------------
+// Preview types
+// ----------------------------------------------------------------
+
+/**
+ * Four layers of nodes, fully connected layer to layer. A pulse sweeps from
+ * input to output, brightening each layer as it passes.
+ */
+class NetworkPreview extends Preview {
+    constructor() {
+        super();
+
+        const layers = [4, 6, 6, 3];
+        const nodeGeometry = new THREE.IcosahedronGeometry(0.16, 0);
+        this.layers = [];
+
+        const columns = layers.map((count, l) => {
+            const x = (l - (layers.length - 1) / 2) * 1.5;
+            return Array.from({ length: count }, (_, i) => new THREE.Vector3(x, (i - (count - 1) / 2) * 0.6, 0));
+        });
+
+        columns.forEach((points) => {
+            const nodes = points.map((p) => {
+                const node = this._wire(nodeGeometry, PRIMARY);
+                node.position.copy(p);
+                this.root.add(node);
+                return node;
+            });
+            this.layers.push(nodes);
+        });
+
+        const pairs = [];
+        for (let l = 0; l < columns.length - 1; l++) {
+            for (const a of columns[l]) {
+                for (const b of columns[l + 1]) pairs.push([a, b]);
+            }
+        }
+        this.root.add(this._edges(pairs, SECONDARY, 0.25));
+    }
+
+    update(time) {
+        this.root.rotation.y = Math.sin(time * 0.35) * 0.6;
+
+        // Pulse position in layers, looping every couple of seconds
+        const front = (time * 1.6) % (this.layers.length + 1);
+        this.layers.forEach((nodes, l) => {
+            const glow = Math.max(0, 1 - Math.abs(front - l));
+            for (const node of nodes) {
+                node.scale.setScalar(1 + glow * 0.6);
+                node.material.opacity = 0.45 + glow * 0.55;
+            }
+        });
+    }
+}
+
+/**
+ * A central hub with sensors on two tilted orbits, each tethered to it.
+ */
+class HubPreview extends Preview {
+    constructor() {
+        super();
+
+        this.hub = this._wire(new THREE.OctahedronGeometry(0.7, 0), PRIMARY);
+        this.root.add(this.hub);
+
+        const sensorGeometry = new THREE.BoxGeometry(0.28, 0.28, 0.28);
+        this.sensors = [];
+        for (let i = 0; i < 6; i++) {
+            const sensor = this._wire(sensorGeometry, SECONDARY);
+            sensor.userData.angle = (i / 6) * Math.PI * 2;
+            sensor.userData.radius = i % 2 ? 2.4 : 1.8;
+            sensor.userData.tilt = i % 2 ? 0.5 : -0.3;
+            this.sensors.push(sensor);
+            this.root.add(sensor);
+        }
+
+        // Tethers are rewritten every frame as the sensors move
+        this.tethers = this._edges(this.sensors.map(() => [new THREE.Vector3(), new THREE.Vector3()]), PRIMARY, 0.2);
+        this.tethers.frustumCulled = false;
+        this.root.add(this.tethers);
+    }
+
+    update(time) {
+        this.hub.rotation.y = time * 0.6;
+        this.hub.rotation.x = time * 0.25;
+
+        const positions = this.tethers.geometry.getAttribute('position');
+        this.sensors.forEach((sensor, i) => {
+            const { angle, radius, tilt } = sensor.userData;
+            const a = angle + time * (i % 2 ? 0.35 : 0.5);
+            sensor.position.set(Math.cos(a) * radius, Math.sin(a) * radius * tilt, Math.sin(a) * radius);
+            sensor.rotation.set(time, time * 0.7, 0);
+
+            positions.setXYZ(i * 2 + 1, sensor.position.x, sensor.position.y, sensor.position.z);
+        });
+        positions.needsUpdate = true;
+
+        this.root.rotation.y = Math.sin(time * 0.2) * 0.3;
+    }
+}
+
+/**
+ * Sources fan into processing stages and a sink, with one packet travelling
+ * along every edge.
+ */
+class GraphPreview extends Preview {
+    constructor() {
+        super();
+
+        const nodes = [
+            [-2.4, 0.9], [-2.4, 0], [-2.4, -0.9],  // sources
+            [-0.8, 0.5], [-0.8, -0.5],             // ingest
+            [0.8, 0.8], [0.8, 0], [0.8, -0.8],     // processing
+            [2.4, 0]                                // sink
+        ].map(([x, y]) => new THREE.Vector3(x, y, 0));
+
+        this.edgeList = [
+            [0, 3], [1, 3], [1, 4], [2, 4],
+            [3, 5], [3, 6], [4, 6], [4, 7],
+            [5, 8], [6, 8], [7, 8]
+        ].map(([a, b]) => [nodes[a], nodes[b]]);
+
+        const nodeGeometry = new THREE.BoxGeometry(0.34, 0.34, 0.34);
+        this.nodes = nodes.map((p, i) => {
+            const node = this._wire(nodeGeometry, i === nodes.length - 1 ? SECONDARY : PRIMARY);
+            node.position.copy(p);
+            this.root.add(node);
+            return node;
+        });
+
+        this.root.add(this._edges(this.edgeList, SECONDARY, 0.35));
+
+        // One packet per edge, staggered so they don't move in lockstep
+        const packetGeometry = new THREE.BufferGeometry();
+        packetGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.edgeList.length * 3), 3));
+        this.packets = new THREE.Points(packetGeometry, new THREE.PointsMaterial({
+            color: PRIMARY,
+            size: 0.14,
+            transparent: true,
+            opacity: 0.95
+        }));
+        this.packets.frustumCulled = false;
+        this.root.add(this.packets);
+
+        this._point = new THREE.Vector3();
+    }
+
+    update(time) {
+        this.root.rotation.y = Math.sin(time * 0.3) * 0.5;
+
+        for (const node of this.nodes) node.rotation.set(time * 0.4, time * 0.6, 0);
+
+        const positions = this.packets.geometry.getAttribute('position');
+        this.edgeList.forEach(([a, b], i) => {
+            const t = (time * 0.6 + i * 0.37) % 1;
+            this._point.lerpVectors(a, b, t);
+            positions.setXYZ(i, this._point.x, this._point.y, this._point.z);
+        });
+        positions.needsUpdate = true;
+    }
+}
+
+/**
+ * An X-frame quadcopter with a spinning rotor at each arm, hovering and
+ * slowly yawing.
+ */
+class DronePreview extends Preview {
+    constructor() {
+        super();
+        this.camera.position.set(0, 2.6, 7);
+        this.camera.lookAt(0, 0, 0);
+
+        this.body = new THREE.Group();
+        this.root.add(this.body);
+
+        this.body.add(this._wire(new THREE.BoxGeometry(0.8, 0.3, 0.8), PRIMARY));
+
+        const armLength = 1.6;
+        const armGeometry = new THREE.BoxGeometry(armLength * 2, 0.08, 0.12);
+        const rotorGeometry = new THREE.TorusGeometry(0.55, 0.03, 4, 24);
+        const bladeGeometry = new THREE.BoxGeometry(1.0, 0.02, 0.1);
+
+        this.rotors = [];
+        for (let i = 0; i < 2; i++) {
+            const arm = this._wire(armGeometry, SECONDARY, 0.7);
+            arm.rotation.y = Math.PI / 4 + i * Math.PI / 2;
+            this.body.add(arm);
+        }
+
+        for (let i = 0; i < 4; i++) {
+            const angle = Math.PI / 4 + i * Math.PI / 2;
+            const x = Math.cos(angle) * armLength;
+            const z = Math.sin(angle) * armLength;
+
+            const guard = this._wire(rotorGeometry, PRIMARY, 0.6);
+            guard.rotation.x = Math.PI / 2;
+            guard.position.set(x, 0.15, z);
+            this.body.add(guard);
+
+            const blade = this._wire(bladeGeometry, PRIMARY);
+            blade.position.set(x, 0.18, z);
+            // Diagonal pairs counter-rotate, as on a real quadcopter
+            blade.userData.direction = i % 2 ? 1 : -1;
+            this.rotors.push(blade);
+            this.body.add(blade);
+        }
+    }
+
+    update(time) {
+        this.root.rotation.y = time * 0.3;
+
+        // Hover bob with a gentle bank
+        this.body.position.y = Math.sin(time * 1.4) * 0.15;
+        this.body.rotation.x = Math.sin(time * 0.9) * 0.08;
+        this.body.rotation.z = Math.cos(time * 0.7) * 0.08;
+
+        for (const blade of this.rotors) blade.rotation.y = time * 14 * blade.userData.direction;
+    }
+}
+
+// ----------------------------------------------------------------
+// Registry
+// ----------------------------------------------------------------
+
+export const PREVIEW_TYPES = {
+    network: NetworkPreview,
+    hub: HubPreview,
+    graph: GraphPreview,
+    drone: DronePreview
+};
+
+/**
+ * Create a preview by type name.
+ * @param {string} type - A key of PREVIEW_TYPES
+ * @returns {Preview|null} null for unknown types
+ */
+export function createPreview(type) {
+    const PreviewType = PREVIEW_TYPES[type];
+    return PreviewType ? new PreviewType() : null;
+}
@@ -0,0 +1,146 @@
+/**
+ * quality.js
+ * ----------
+ * Adaptive quality governor for the 3D background.
+ *
+ * Measures frame time every frame and steps between quality tiers at runtime
+ * so low-end devices get a smooth (if simpler) background instead of a
+ * stuttering one. Hysteresis keeps it from flapping between tiers:
+ *   - Frame time is smoothed with an exponential moving average
+ *   - Stepping down requires the average to stay over budget for a while
+ *   - Stepping up requires it to stay comfortably under budget for longer
+ *   - Every tier change is followed by a cooldown where samples are ignored
+ *
+ * No Three.js dependency -- Scene decides how to apply each tier.
+ */
+
+/**
+ * Quality tiers, ordered from cheapest to most expensive.
+ * The last tier matches the original look of the site.
+ *
+ *   pixelRatio -- cap on window.devicePixelRatio
+ *   bloom      -- whether the UnrealBloomPass runs at all
+ *   bloomScale -- bloom render-target resolution relative to the canvas
+ *   stars      -- fraction of the configured star count that is drawn
+ *   octaves    -- FBM octave count in the background shader
+ */
+export const QUALITY_TIERS = [
+    { name: 'low',    pixelRatio: 1,    bloom: false, bloomScale: 0.5,  stars: 0.25, octaves: 3 },
+    { name: 'medium', pixelRatio: 1.25, bloom: true,  bloomScale: 0.5,  stars: 0.5,  octaves: 4 },
+    { name: 'high',   pixelRatio: 1.5,  bloom: true,  bloomScale: 0.75, stars: 0.75, octaves: 5 },
+    { name: 'ultra',  pixelRatio: 2,    bloom: true,  bloomScale: 1,    stars: 1,    octaves: 6 }
+];
+
+export class QualityGovernor {
+
+    /**
+     * @param {Object}   [options]
+     * @param {number}   [options.initialTier]   - Starting tier index (defaults to the top tier)
+     * @param {number}   [options.downgradeMs]   - Average frame time above which we step down (~45fps)
+     * @param {number}   [options.upgradeMs]     - Average frame time below which we step up (~58fps)
+     * @param {number}   [options.downgradeHold] - Seconds the average must stay over budget
+     * @param {number}   [options.upgradeHold]   - Seconds the average must stay under budget
+     * @param {number}   [options.cooldown]      - Seconds to ignore samples after a tier change
+     * @param {Function} [options.onChange]      - Called with (tier, index) whenever the tier changes
+     */
+    constructor(options = {}) {
+        this.tiers = QUALITY_TIERS;
+        this.index = options.initialTier ?? this.tiers.length - 1;
+
+        this.downgradeMs   = options.downgradeMs   ?? 1000 / 45;
+        this.upgradeMs     = options.upgradeMs     ?? 1000 / 58;
+        this.downgradeHold = options.downgradeHold ?? 2;
+        this.upgradeHold   = options.upgradeHold   ?? 6;
+        this.cooldown      = options.cooldown      ?? 3;
+        this.onChange      = options.onChange      || null;
+
+        // Smoothed frame time in milliseconds
+        this.averageMs = 1000 / 60;
+
+        // Internal timers (seconds)
+        this._overBudget  = 0;
+        this._underBudget = 0;
+        this._cooldown    = this.cooldown;
+        this._lastTime    = null;
+    }
+
+    // ------------------------------------------------------------------
+    //  Sampling
+    // ------------------------------------------------------------------
+
+    /**
+     * Records one frame. Call once per rendered frame.
+     * @param {number} [now] - Timestamp in milliseconds (defaults to performance.now())
+     */
+    sample(now = performance.now()) {
+        if (this._lastTime === null) {
+            this._lastTime = now;
+            return;
+        }
+
+        const frameMs = now - this._lastTime;
+        this._lastTime = now;
+
+        // Ignore huge gaps (background tab, breakpoint, GC pause) -- they say
+        // nothing about sustained rendering cost
+        if (frameMs <= 0 || frameMs > 250) return;
+
+        this.averageMs += (frameMs - this.averageMs) * 0.1;
+
+        const dt = frameMs / 1000;
+
+        // Let the new tier settle before judging it
+        if (this._cooldown > 0) {
+            this._cooldown -= dt;
+            return;
+        }
+
+        if (this.averageMs > this.downgradeMs) {
+            this._overBudget += dt;
+            this._underBudget = 0;
+        } else if (this.averageMs < this.upgradeMs) {
+            this._underBudget += dt;
+            this._overBudget = 0;
+        } else {
+            // Inside the hysteresis band -- hold the current tier
+            this._overBudget = 0;
+            this._underBudget = 0;
+        }
+
+        if (this._overBudget >= this.downgradeHold) {
+            this.setTier(this.index - 1);
+        } else if (this._underBudget >= this.upgradeHold) {
+            this.setTier(this.index + 1);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    //  Tier control
+    // ------------------------------------------------------------------
+
+    /**
+     * Jumps to a tier by index (clamped to the valid range) and resets the
+     * hysteresis timers.
+     * @param {number} index
+     */
+    setTier(index) {
+        const next = Math.max(0, Math.min(this.tiers.length - 1, index));
+
+        this._overBudget  = 0;
+        this._underBudget = 0;
+        this._cooldown    = this.cooldown;
+
+        if (next === this.index) return;
+
+        this.index = next;
+        if (this.onChange) this.onChange(this.tier, this.index);
+    }
+
+    /**
+     * The currently active tier definition.
+     * @returns {Object}
+     */
+    get tier() {
+        return this.tiers[this.index];
+    }
+}
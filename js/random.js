@@ -0,0 +1,60 @@
+/**
+ * random.js
+ * ---------
+ * Seedable randomness for reproducible frames.
+ *
+ * createRandom(seed) returns a Math.random()-style function: a mulberry32
+ * generator when given an integer seed, or Math.random itself when the seed
+ * is null. Everything that picks random values for what ends up on screen --
+ * the star field and wireframe rotations (scene.js), the noise buffer
+ * (audio.js) and the text scramble (fx.js) -- draws from one of these, so a
+ * seeded load looks the same every time. Together with Scene.renderAt() that
+ * makes the background pixel-diffable.
+ *
+ * A consumer that needs several independent sequences passes a stream number
+ * as well, so e.g. rebuilding the star field replays exactly the same stars
+ * whatever else has drawn numbers in between.
+ *
+ * The seed comes from the `?seed=<integer>` URL parameter (seedFromURL()).
+ *
+ * No external dependencies.
+ */
+
+const URL_PARAM = 'seed';
+
+/**
+ * Create a random number generator.
+ * @param {number|null} [seed]   - Integer seed; null (or omitted) for Math.random
+ * @param {number}      [stream] - Picks one of many independent sequences per seed
+ * @returns {Function} Returns a number in [0, 1) on every call
+ */
+export function createRandom(seed = null, stream = 0) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    // mulberry32 -- 32 bits of state, fast, and plenty for visuals. Streams
+    // start a golden-ratio step apart
+    let state = (seed ^ Math.imul(stream, 0x9e3779b9)) >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Read the `?seed=` URL parameter.
+ * @returns {number|null} A non-negative integer, or null when absent or invalid
+ */
+export function seedFromURL() {
+    const value = new URLSearchParams(window.location.search).get(URL_PARAM);
+    if (value === null) return null;
+
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+        console.warn(`random.js: Invalid seed "${value}" -- expected an integer from 0 to ${0xffffffff}.`);
+        return null;
+    }
+    return seed;
+}
@@ -0,0 +1,117 @@
+/**
+ * scene-worker.js
+ * ---------------
+ * Web Worker entry point that runs the 3D background (scene.js) on an
+ * OffscreenCanvas, off the main thread. Spawned and driven by WorkerScene
+ * (worker-scene.js), which documents the message protocol.
+ *
+ * The worker runs its own requestAnimationFrame loop, so rendering keeps
+ * its pace even while the main thread is busy with Lenis, ScrollTrigger
+ * and the cursor.
+ *
+ * 'three' is resolved through the page's import map, which not every browser
+ * applies to workers yet. If this module fails to load, WorkerScene sees the
+ * error and falls back to rendering on the main thread.
+ */
+
+import { Scene } from './scene.js';
+
+let scene = null;
+let frameId = null;
+let lastTier = null;
+
+// Workers get requestAnimationFrame alongside OffscreenCanvas in most
+// browsers; a 60fps timer covers the rest
+const requestFrame = self.requestAnimationFrame
+    ? (callback) => self.requestAnimationFrame(callback)
+    : (callback) => setTimeout(callback, 1000 / 60);
+const cancelFrame = self.cancelAnimationFrame
+    ? (id) => self.cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+function loop() {
+    frameId = requestFrame(loop);
+    scene.update();
+
+    // Report quality tier changes so WorkerScene.qualityTier stays current
+    const tier = scene.qualityTier;
+    if (tier !== lastTier) {
+        lastTier = tier;
+        self.postMessage({ type: 'quality', tier });
+    }
+}
+
+// ----------------------------------------------------------------
+// Message handlers -- one per message type sent by WorkerScene
+// ----------------------------------------------------------------
+
+const handlers = {
+    init({ canvas, options, viewport }) {
+        scene = new Scene(canvas, options, viewport);
+
+        canvas.addEventListener('wireframeclick', (e) => {
+            self.postMessage({ type: 'wireframeclick', detail: e.detail });
+        });
+
+        lastTier = scene.qualityTier;
+        self.postMessage({ type: 'ready', tier: lastTier });
+        scene.firstFrame().then(() => self.postMessage({ type: 'firstFrame' }));
+        loop();
+    },
+
+    compile() {
+        // Always answered, so WorkerScene.compile() never hangs
+        Promise.resolve()
+            .then(() => scene.compile())
+            .then(
+                () => self.postMessage({ type: 'compiled' }),
+                (err) => self.postMessage({ type: 'compiled', error: err && err.message ? err.message : String(err) })
+            );
+    },
+
+    mouse({ x, y })                       { scene.setMouse(x, y); },
+    scroll({ progress })                  { scene.setScroll(progress); },
+    velocity({ value })                   { scene.setVelocity(value); },
+    section({ name })                     { scene.setSection(name); },
+    paletteStops({ stops })               { scene.setPaletteStops(stops); },
+    previews({ views })                   { scene.setPreviews(views); },
+    audio({ bands })                      { scene.setAudioBands(bands); },
+    theme({ theme })                      { scene.setTheme(theme); },
+    reducedMotion({ reduced })            { scene.setReducedMotion(reduced); },
+    uniform({ name, value })              { scene.setUniformOverride(name, value); },
+    configure({ options })                { scene.configure(options); },
+    addPass({ name, index, enabled })     { scene.addPass(name, { index, enabled }); },
+    removePass({ name })                  { scene.removePass(name); },
+    passEnabled({ name, enabled })        { scene.setPassEnabled(name, enabled); },
+    renderAt({ frame })                   { scene.renderAt(frame); },
+    resume()                              { scene.resume(); },
+    click()                               { scene.handleClick(); },
+    resize({ width, height, pixelRatio }) { scene.resize(width, height, pixelRatio); },
+
+    capture({ id, width, height, scale }) {
+        scene.capture({ width, height, scale }).then(
+            (blob) => self.postMessage({ type: 'capture', id, blob }),
+            (err) => self.postMessage({ type: 'capture', id, error: err.message })
+        );
+    },
+
+    destroy() {
+        cancelFrame(frameId);
+        scene.destroy();
+        self.close();
+    }
+};
+
+self.onmessage = (e) => {
+    const handler = handlers[e.data.type];
+    if (!handler) return;
+
+    // Messages can only arrive before init if the protocol is misused
+    if (!scene && e.data.type !== 'init') return;
+
+    try {
+        handler(e.data);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+};
@@ -3,11 +3,19 @@
  * --------
  * Manages the Three.js 3D background for the portfolio site.
  * Creates a layered scene with:
- *   - Full-viewport shader background (living gradient with velocity distortion)
- *   - 5 subtle wireframe floating geometries for depth
- *   - 1000-particle star field
- *   - Cursor particle trail (cyan-tinted)
- *   - Bloom post-processing (UnrealBloomPass)
+ *   - Full-viewport shader background, one of the presets in shaders.js
+ *   - 5 subtle wireframe floating geometries for depth (clickable)
+ *   - GPU-animated star field
+ *   - Cursor particle trail
+ *   - Bloom followed by a stack of post-processing passes (passes.js)
+ *   - Section moods and scroll-positioned palettes (moods.js), themed and
+ *     audio-reactive
+ *   - Card previews drawn into scissored viewports (previews.js)
+ *
+ * Options and their validation live in options.js; adaptive quality in
+ * quality.js; viewport tracking in viewport.js; seeded randomness in
+ * random.js. Survives WebGL context loss, and runs inside a Web Worker too
+ * (see scene-worker.js / WorkerScene).
  */
 
 import * as THREE from 'three';
@@ -15,29 +23,218 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
-import { BackgroundShader } from './shaders.js';
+import { BackgroundShader, BackgroundPresets, StarFieldShader, TrailShader, MAX_PALETTE_STOPS } from './shaders.js';
+import { QualityGovernor, QUALITY_TIERS } from './quality.js';
+import { DEFAULT_SECTION } from './moods.js';
+import { resolveSceneOptions, resolveUniformOverride, resolveFrame } from './options.js';
+import { ViewportObserver } from './viewport.js';
+import { createPreview } from './previews.js';
+import { POST_PASSES, DEFAULT_POST_PASSES, createPostPass } from './passes.js';
+import { createRandom } from './random.js';
+
+// Three.js constructors for the wireframes.items[].geometry option
+const WIREFRAME_GEOMETRY_TYPES = {
+    box: THREE.BoxGeometry,
+    sphere: THREE.SphereGeometry,
+    tetrahedron: THREE.TetrahedronGeometry,
+    octahedron: THREE.OctahedronGeometry,
+    dodecahedron: THREE.DodecahedronGeometry,
+    icosahedron: THREE.IcosahedronGeometry,
+    torus: THREE.TorusGeometry,
+    torusKnot: THREE.TorusKnotGeometry
+};
+
+// Independent random sequences per seed (see random.js), so a rebuild of one
+// part replays the same values whatever the others have drawn
+const RANDOM_STREAMS = { wireframes: 1, stars: 2, bursts: 3 };
+
+// Frame rate the per-frame wireframe rotation steps are tuned for -- renderAt()
+// turns scene time into rotation at this rate
+const REFERENCE_FPS = 60;
+
+// Seconds a background preset change takes to crossfade
+const BACKGROUND_FADE = 1.5;
+
+// Background exposure until setTheme() is given the stylesheet's value
+// (matches --scene-exposure in the dark theme)
+const DEFAULT_THEME_EXPOSURE = 0.7;
+
+// Containers tried in order by record()
+const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Convert a colour option ([r, g, b], hex number or CSS string) to a THREE.Color.
+ * @param {Array|number|string} value
+ * @returns {THREE.Color}
+ */
+function toColor(value) {
+    return Array.isArray(value)
+        ? new THREE.Color().setRGB(value[0], value[1], value[2])
+        : new THREE.Color(value);
+}
+
+/**
+ * Whether two wireframes options differ in nothing but the items' speeds,
+ * which configure() applies to the existing meshes instead of rebuilding them.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function differsOnlyInSpeed(a, b) {
+    const layout = (w) => JSON.stringify({ ...w, items: w.items.map(({ speed, ...item }) => item) });
+    return layout(a) === layout(b);
+}
 
 export class Scene {
     /**
-     * @param {HTMLCanvasElement} canvas - The <canvas id="bg"> element
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The <canvas id="bg"> element,
+     *                                                     or an OffscreenCanvas in a worker
+     * @param {Object} [options]  - Partial options, see options.js.
+     *                              Throws TypeError/RangeError if invalid.
+     * @param {Object} [viewport] - Initial { width, height, pixelRatio }. Defaults
+     *                              to the canvas' CSS size; required in a worker.
      */
-    constructor(canvas) {
+    constructor(canvas, options = {}, viewport = null) {
         if (!canvas) {
             console.warn('Scene: No canvas element provided. Aborting initialization.');
             this.enabled = false;
             return;
         }
 
+        // Validated, fully-populated options (defaults filled in)
+        this.options = resolveSceneOptions(options);
+
         this.enabled = true;
         this.canvas = canvas;
+
+        // Viewport in CSS pixels and the device pixel ratio. The stylesheet
+        // sizes the canvas element (an OffscreenCanvas has no style at all),
+        // so Three.js only ever sets the drawing buffer size
+        const view = viewport || {
+            width: canvas.clientWidth || window.innerWidth,
+            height: canvas.clientHeight || window.innerHeight,
+            pixelRatio: window.devicePixelRatio
+        };
+        this.width = view.width;
+        this.height = view.height;
+        this.pixelRatio = view.pixelRatio || 1;
+
+        // Latest resize() request, applied at the start of the next frame
+        this._pendingViewport = null;
         this.scrollProgress = 0;
         this.mouseX = 0;
         this.mouseY = 0;
-        this.geometries = [];
         this.clock = new THREE.Clock();
 
-        // Trail configuration
-        this.trailLength = 100;
+        // Scene time in seconds -- accumulated per frame so reduced motion
+        // can slow it down without a jump when the mode changes
+        this.elapsed = 0;
+
+        // Randomness for click bursts; the build-time parts draw their own
+        // streams (see RANDOM_STREAMS). Seeded by options.seed
+        this.random = createRandom(this.options.seed, RANDOM_STREAMS.bursts);
+
+        // The { time, scroll, mouse, velocity } renderAt() holds the scene
+        // at, or null while it runs on the wall clock
+        this.frozenFrame = null;
+
+        // Reduced-motion mode and the speed multiplier it implies
+        this.reducedMotion = false;
+        this.motionScale = 1;
+
+        // Scene colours of the light/dark theme (see setTheme()); null until
+        // given, which keeps the moods exactly as moods.js defines them
+        this.theme = null;
+
+        // Section moods -- current (eased) state and the state it eases toward
+        this.activeSection = DEFAULT_SECTION;
+        this.mood = this._createMoodState(this._moodFor(DEFAULT_SECTION));
+        this.moodTarget = this._createMoodState(this._moodFor(DEFAULT_SECTION));
+
+        // Palette stops along the page ({ section, offset }, see
+        // setPaletteStops()), and each stop section's palette -- current
+        // (eased, so theme switches fade) and target. Until stops are given,
+        // the background shows the eased mood palette instead
+        this.paletteStops = [];
+        this.stopPalettes = new Map();
+
+        // True between webglcontextlost and webglcontextrestored
+        this.contextLost = false;
+
+        // Trail clock (real time, unaffected by reduced motion)
+        this.trailTime = 0;
+
+        // Wireframe picking -- the mesh under the cursor, if any
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.hovered = null;
+
+        // Audio band energies (x = bass, y = mid, z = high): the latest from
+        // setAudioBands() and the eased levels the visuals use
+        this.audioTarget = new THREE.Vector3();
+        this.audio = new THREE.Vector3();
+
+        // True while record() drives the frames; update() stands aside
+        this.recording = false;
+
+        // Card previews: the latest { type, x, y, width, height } list from
+        // setPreviews(), and the built previews by list index (created the
+        // first time each one is on screen)
+        this.previewViews = [];
+        this.previews = new Map();
+
+        // Post-processing stack between bloom and output: { name, enabled }
+        // in order, plus the built pass (recreated on every build)
+        this.postPasses = DEFAULT_POST_PASSES.map((name) => ({ name, enabled: true, pass: null }));
+
+        // What the stack's update() hooks are given every frame
+        this._postFrame = { velocity: 0, time: 0, width: 1, height: 1 };
+        this._bufferSize = new THREE.Vector2();
+
+        // setPassEnabled('bloom', ...) -- the quality tier can still drop it
+        this.bloomEnabled = true;
+
+        // Background uniforms pinned by setUniformOverride(): name -> components
+        this.uniformOverrides = new Map();
+
+        // Loading milestones (see compile() and firstFrame())
+        this._compiled = null;
+        this._firstFrame = new Promise((resolve) => { this._resolveFirstFrame = resolve; });
+
+        // Adaptive quality -- starts at the top tier and steps down if the
+        // device can't keep up
+        this.quality = new QualityGovernor({
+            onChange: (tier) => this._applyQualityTier(tier)
+        });
+
+        this._build();
+
+        // Context loss handling -- preventDefault() on loss is what tells the
+        // browser we want a webglcontextrestored event later
+        this._onContextLost = (e) => {
+            e.preventDefault();
+            this.contextLost = true;
+            console.warn('Scene: WebGL context lost -- rendering paused.');
+        };
+        this._onContextRestored = () => this._handleContextRestored();
+
+        this.canvas.addEventListener('webglcontextlost', this._onContextLost);
+        this.canvas.addEventListener('webglcontextrestored', this._onContextRestored);
+
+        // Follow the canvas size and pixel density on the main thread; a
+        // worker can't observe its canvas, so WorkerScene does it there
+        if (!viewport && typeof HTMLCanvasElement !== 'undefined' && canvas instanceof HTMLCanvasElement) {
+            this.viewportObserver = new ViewportObserver(canvas, (v) => this.resize(v.width, v.height, v.pixelRatio));
+        }
+    }
+
+    /**
+     * Create every GPU-backed part of the scene: renderer, camera, scene graph,
+     * background, wireframes, stars, trail and post-processing. Used both on
+     * construction and after a context restore.
+     */
+    _build() {
+        this.geometries = [];
 
         this._initRenderer();
         this._initCamera();
@@ -47,6 +244,10 @@ export class Scene {
         this._initParticles();
         this._initCursorTrail();
         this._initPostProcessing();
+
+        this._applyQualityTier(this._targetTier());
+        this._applyReducedMotion();
+        this._applyMood();
     }
 
     // ----------------------------------------------------------------
@@ -61,25 +262,29 @@ export class Scene {
             powerPreference: 'high-performance'
         });
 
-        const dpr = Math.min(window.devicePixelRatio, 2);
+        const dpr = Math.min(this.pixelRatio, this.options.maxPixelRatio);
         this.renderer.setPixelRatio(dpr);
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(this.width, this.height, false);
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.0;
+        this.renderer.toneMappingExposure = this.options.toneMappingExposure;
     }
 
     _initCamera() {
         this.camera = new THREE.PerspectiveCamera(
-            45,
-            window.innerWidth / window.innerHeight,
+            this.options.camera.fov,
+            this.width / this.height,
             0.1,
             1000
         );
-        this.camera.position.set(0, 0, 30);
+        this.camera.position.set(0, 0, this.options.camera.z);
     }
 
     _initScene() {
         this.scene = new THREE.Scene();
+
+        // The camera is part of the graph so the background plane can ride
+        // along as its child when section moods move it
+        this.scene.add(this.camera);
     }
 
     /**
@@ -87,158 +292,287 @@ export class Scene {
      * Now includes the velocity uniform for scroll-based distortion.
      */
     _initBackground() {
-        // Instance-specific uniforms (not shared with the exported template)
-        this.bgUniforms = {
-            time: { value: 0.0 },
-            scroll: { value: 0.0 },
-            mouse: { value: new THREE.Vector2(0.0, 0.0) },
-            resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-            velocity: { value: 0.0 }
-        };
+        // Instance copy of the template, set to the current state
+        this.bgUniforms = THREE.UniformsUtils.clone(BackgroundShader.uniforms);
+        this.bgUniforms.resolution.value.set(this.width, this.height);
+        this.bgUniforms.themeExposure.value = this.mood.exposure;
+
+        // UniformsUtils.clone() copies arrays shallowly -- the stop colours
+        // would still be the template's. The palette is written by _applyMood()
+        for (const name of ['paletteStopBase', 'paletteStopHighlight', 'paletteStopGlow', 'paletteStopAccent']) {
+            this.bgUniforms[name].value = this.bgUniforms[name].value.map((color) => color.clone());
+        }
+        this.bgUniforms.audio.value.copy(this.audio);
+
+        this.bgMesh = this._createBackgroundMesh(this.options.background);
+
+        // The preset being crossfaded to, if any (see _setBackground())
+        this.bgIncoming = null;
+
+        this._sizeBackground(this.width, this.height);
+    }
 
-        const bgMaterial = new THREE.ShaderMaterial({
-            uniforms: this.bgUniforms,
+    /**
+     * Build a background plane for a preset and attach it to the camera, so
+     * it always fills the view whatever the current mood's camera pose
+     * (world z = -50 at the default pose).
+     * @param {string} preset - A key of BackgroundPresets
+     * @returns {THREE.Mesh}
+     */
+    _createBackgroundMesh(preset) {
+        // Every preset shares the instance uniforms except its own fade
+        const material = new THREE.ShaderMaterial({
+            uniforms: { ...this.bgUniforms, fade: { value: 1 } },
+            defines: { ...BackgroundShader.defines },
             vertexShader: BackgroundShader.vertexShader,
-            fragmentShader: BackgroundShader.fragmentShader,
+            fragmentShader: BackgroundPresets[preset],
+            // Blended so it can fade in over the previous preset; at fade 1
+            // it covers whatever is behind it completely
+            transparent: true,
             depthWrite: false
         });
+        if (this._activeTier) material.defines.FBM_OCTAVES = this._activeTier.octaves;
+
+        // A unit plane, scaled to the frustum by _sizeBackground() so resizes
+        // never reallocate geometry. Drawn before everything else
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+        mesh.renderOrder = -2;
+        mesh.userData.preset = preset;
+
+        this.camera.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Crossfade to another background preset. A change during a crossfade
+     * completes the running one first.
+     * @param {string} preset - A key of BackgroundPresets
+     */
+    _setBackground(preset) {
+        if (this.bgIncoming) this._finishBackgroundFade();
+
+        this.bgIncoming = this._createBackgroundMesh(preset);
+        this.bgIncoming.renderOrder = -1;
+        this.bgIncoming.material.uniforms.fade.value = 0;
+        this._sizeBackground(this.width, this.height);
+    }
+
+    /**
+     * Advance a running crossfade.
+     * @param {number} delta - Seconds since the last frame
+     */
+    _advanceBackgroundFade(delta) {
+        if (!this.bgIncoming) return;
+
+        const fade = this.bgIncoming.material.uniforms.fade;
+        fade.value = Math.min(1, fade.value + delta / BACKGROUND_FADE);
+        if (fade.value === 1) this._finishBackgroundFade();
+    }
+
+    /**
+     * Make the incoming preset the background and drop the old one.
+     */
+    _finishBackgroundFade() {
+        this._removeObject(this.bgMesh);
+
+        this.bgMesh = this.bgIncoming;
+        this.bgMesh.renderOrder = -2;
+        this.bgMesh.material.uniforms.fade.value = 1;
+        this.bgIncoming = null;
+    }
+
+    /**
+     * Distance from the camera to the background plane.
+     * @returns {number}
+     */
+    _backgroundDistance() {
+        return this.options.camera.z + 50; // camera z + plane z offset
+    }
 
-        // Size the plane to fill the camera frustum at z = -50
-        const dist = 30 + 50; // camera z + plane z offset
-        const vFov = THREE.MathUtils.degToRad(45);
+    /**
+     * Place and scale the background plane so it fills the camera frustum at
+     * the background distance.
+     * @param {number} width  - Viewport width in CSS pixels
+     * @param {number} height - Viewport height in CSS pixels
+     */
+    _sizeBackground(width, height) {
+        const dist = this._backgroundDistance();
+        const vFov = THREE.MathUtils.degToRad(this.options.camera.fov);
         const planeHeight = 2 * Math.tan(vFov / 2) * dist;
-        const planeWidth = planeHeight * (window.innerWidth / window.innerHeight);
+        const planeWidth = planeHeight * (width / height);
 
         // Add a generous margin so the plane always covers the viewport
-        const bgGeometry = new THREE.PlaneGeometry(planeWidth * 1.2, planeHeight * 1.2);
-        this.bgMesh = new THREE.Mesh(bgGeometry, bgMaterial);
-        this.bgMesh.position.z = -50;
-        this.scene.add(this.bgMesh);
+        for (const mesh of [this.bgMesh, this.bgIncoming]) {
+            if (!mesh) continue;
+            mesh.position.z = -dist;
+            mesh.scale.set(planeWidth * 1.2, planeHeight * 1.2, 1);
+        }
     }
 
     /**
-     * Create 5 slowly-rotating wireframe geometries scattered in the scene.
-     * Slightly brighter and more opaque than before. Includes a TorusKnot for variety.
+     * Create the slowly-rotating wireframe geometries described by
+     * options.wireframes (5 by default, including a TorusKnot for variety).
      */
     _initWireframes() {
-        const defs = [
-            {
-                geo: new THREE.IcosahedronGeometry(3.5, 1),
-                pos: new THREE.Vector3(-10, 6, -15),
-                speed: 1.0
-            },
-            {
-                geo: new THREE.OctahedronGeometry(2.5, 0),
-                pos: new THREE.Vector3(12, -4, -20),
-                speed: 0.7
-            },
-            {
-                geo: new THREE.TorusGeometry(2.8, 0.6, 8, 24),
-                pos: new THREE.Vector3(-6, -8, -12),
-                speed: 0.5
-            },
-            {
-                geo: new THREE.DodecahedronGeometry(2.0, 0),
-                pos: new THREE.Vector3(8, 8, -18),
-                speed: 0.9
-            },
-            {
-                // 5th wireframe: TorusKnot for variety
-                geo: new THREE.TorusKnotGeometry(2.0, 0.5, 64, 8, 2, 3),
-                pos: new THREE.Vector3(0, -12, -16),
-                speed: 0.6
-            }
-        ];
+        const opts = this.options.wireframes;
+        const random = createRandom(this.options.seed, RANDOM_STREAMS.wireframes);
 
-        // Slightly brighter wireframe material (0.35, 0.5, 0.9) at opacity 0.12
         const wireMaterial = new THREE.MeshBasicMaterial({
-            color: new THREE.Color(0.35, 0.5, 0.9),
+            color: toColor(opts.color),
             wireframe: true,
             transparent: true,
-            opacity: 0.12
+            opacity: opts.opacity
         });
 
-        for (const def of defs) {
+        for (const item of opts.items) {
+            const GeometryType = WIREFRAME_GEOMETRY_TYPES[item.geometry];
+            const def = {
+                name: item.name,
+                section: item.section || null,
+                geo: new GeometryType(...(item.args || [])),
+                pos: new THREE.Vector3().fromArray(item.position),
+                speed: item.speed
+            };
+
             const mesh = new THREE.Mesh(def.geo, wireMaterial.clone());
             mesh.position.copy(def.pos);
 
-            // Store original position for parallax offset calculations
+            // Original layout position; section moods spread/offset it into
+            // basePosition, which the parallax calculations work from
+            mesh.userData.homePosition = def.pos.clone();
             mesh.userData.basePosition = def.pos.clone();
             mesh.userData.speed = def.speed;
 
-            // Give each geometry a random starting rotation
-            mesh.rotation.x = Math.random() * Math.PI * 2;
-            mesh.rotation.y = Math.random() * Math.PI * 2;
+            // Interaction: name/section travel with the click event, hover and
+            // spin are eased per frame in update()
+            mesh.userData.name = def.name;
+            mesh.userData.section = def.section;
+            mesh.userData.hover = 0;
+            mesh.userData.spin = 0;
+
+            // Give each geometry a random starting rotation (kept for renderAt())
+            mesh.rotation.x = random() * Math.PI * 2;
+            mesh.rotation.y = random() * Math.PI * 2;
+            mesh.userData.startRotation = mesh.rotation.clone();
 
             this.geometries.push(mesh);
             this.scene.add(mesh);
         }
+
+        wireMaterial.dispose();
     }
 
     /**
-     * Create a field of 1000 tiny points that act like distant stars.
-     * Slightly brighter than before (opacity 0.4).
+     * Create a field of points that act like distant stars, drawn with
+     * StarFieldShader. Every star gets its own size, colour temperature,
+     * twinkle phase and depth; all animation runs on the GPU, so the count
+     * only costs fill rate (50k+ is fine). Allocates options.stars.count;
+     * lower quality tiers just shrink the draw range.
      */
     _initParticles() {
-        const count = 1000;
-        const positions = new Float32Array(count * 3);
+        const opts = this.options.stars;
+        const count = opts.count;
+        const positions   = new Float32Array(count * 3);
+        const sizes       = new Float32Array(count);
+        const temperature = new Float32Array(count);
+        const phases      = new Float32Array(count);
+        const depths      = new Float32Array(count);
+        const random = createRandom(this.options.seed, RANDOM_STREAMS.stars);
 
         for (let i = 0; i < count; i++) {
             const i3 = i * 3;
             // Spread particles across a wide volume
-            positions[i3]     = (Math.random() - 0.5) * 80;  // x
-            positions[i3 + 1] = (Math.random() - 0.5) * 80;  // y
-            positions[i3 + 2] = (Math.random() - 0.5) * 60 - 10; // z (biased behind camera)
+            positions[i3]     = (random() - 0.5) * 80;  // x
+            positions[i3 + 1] = (random() - 0.5) * 80;  // y
+            positions[i3 + 2] = (random() - 0.5) * 60 - 10; // z (biased behind camera)
+
+            // Mostly small stars with the odd bright one (skewed distribution)
+            sizes[i] = (0.6 + Math.pow(random(), 3) * 2.0) * opts.size;
+
+            // Mostly white-blue, occasionally warm
+            temperature[i] = random() < 0.15 ? random() * 0.4 : 0.4 + random() * 0.6;
+
+            phases[i] = random() * Math.PI * 2;
+
+            // 0 at the far end of the volume, 1 at the near end
+            depths[i] = (positions[i3 + 2] + 40) / 60;
         }
 
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-        const material = new THREE.PointsMaterial({
-            color: 0x8899cc,
-            size: 1.5,
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('temperature', new THREE.BufferAttribute(temperature, 1));
+        geometry.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+        geometry.setAttribute('depth', new THREE.BufferAttribute(depths, 1));
+
+        // Instance copy of the template, set from the options
+        this.starUniforms = THREE.UniformsUtils.clone(StarFieldShader.uniforms);
+        this.starUniforms.scale.value = this.height * 0.5;
+        this.starUniforms.pixelRatio.value = this.renderer.getPixelRatio();
+        this.starUniforms.opacity.value = opts.opacity;
+        this.starUniforms.tint.value.copy(toColor(opts.color));
+        this.starUniforms.audioHigh.value = this.audio.z;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.starUniforms,
+            vertexShader: StarFieldShader.vertexShader,
+            fragmentShader: StarFieldShader.fragmentShader,
             transparent: true,
-            opacity: 0.4,
-            sizeAttenuation: true,
             depthWrite: false
         });
 
         this.particles = new THREE.Points(geometry, material);
+
+        // Stars drift in the vertex shader, so the CPU-side bounds are meaningless
+        this.particles.frustumCulled = false;
         this.scene.add(this.particles);
     }
 
     /**
-     * Create a cursor particle trail using a BufferGeometry with ~100 positions.
-     * Each frame the positions shift down by one index and the current mouse
-     * world-position is placed at index 0, creating a fading trail effect.
+     * Create the cursor particle trail: a fixed-size ring buffer of points.
+     * New points overwrite the oldest slot; each stores its birth time and
+     * TrailShader shrinks and fades it with age, so nothing moves on the CPU
+     * and an idle cursor simply lets the trail expire.
      */
     _initCursorTrail() {
-        const count = this.trailLength;
+        const opts = this.options.trail;
+        const count = opts.length;
         const positions = new Float32Array(count * 3);
+        const births = new Float32Array(count);
 
-        // Initialize all trail positions off-screen so they are not visible initially
-        for (let i = 0; i < count; i++) {
-            const i3 = i * 3;
-            positions[i3]     = 0;
-            positions[i3 + 1] = 0;
-            positions[i3 + 2] = -100; // far behind camera, invisible
-        }
+        // Every slot starts long expired, so nothing is visible initially
+        births.fill(-1e6);
 
         this.trailGeometry = new THREE.BufferGeometry();
         this.trailGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-        // Cyan-tinted trail particles
-        const trailMaterial = new THREE.PointsMaterial({
-            color: new THREE.Color(0.3, 0.8, 1.0), // cyan tint
-            size: 2,
+        this.trailGeometry.setAttribute('birth', new THREE.BufferAttribute(births, 1));
+
+        // Ring buffer write index and last emission point
+        this.trailHead = 0;
+        this.trailLast = null;
+
+        // Instance copy of the template, set from the options
+        this.trailUniforms = THREE.UniformsUtils.clone(TrailShader.uniforms);
+        this.trailUniforms.time.value = this.trailTime;
+        this.trailUniforms.lifetime.value = opts.lifetime;
+        this.trailUniforms.size.value = opts.size;
+        this.trailUniforms.scale.value = this.height * 0.5;
+        this.trailUniforms.pixelRatio.value = this.renderer.getPixelRatio();
+        this.trailUniforms.opacity.value = opts.opacity;
+        this.trailUniforms.colorHead.value.copy(toColor(opts.color));
+        this.trailUniforms.colorTail.value.copy(toColor(opts.tailColor || opts.color));
+
+        const trailMaterial = new THREE.ShaderMaterial({
+            uniforms: this.trailUniforms,
+            vertexShader: TrailShader.vertexShader,
+            fragmentShader: TrailShader.fragmentShader,
             transparent: true,
-            opacity: 0.25,
-            sizeAttenuation: true,
             depthWrite: false,
             blending: THREE.AdditiveBlending
         });
 
         this.trailMesh = new THREE.Points(this.trailGeometry, trailMaterial);
+        this.trailMesh.frustumCulled = false;
         this.scene.add(this.trailMesh);
     }
 
@@ -267,10 +601,10 @@ export class Scene {
 
     /**
      * Set up the post-processing pipeline:
-     * RenderPass -> UnrealBloomPass (stronger glow) -> OutputPass
+     * RenderPass -> UnrealBloomPass (stronger glow) -> pass stack -> OutputPass
      */
     _initPostProcessing() {
-        const size = new THREE.Vector2(window.innerWidth, window.innerHeight);
+        const size = new THREE.Vector2(this.width, this.height);
 
         this.composer = new EffectComposer(this.renderer);
 
@@ -278,155 +612,1461 @@ export class Scene {
         const renderPass = new RenderPass(this.scene, this.camera);
         this.composer.addPass(renderPass);
 
-        // Bloom with increased strength (0.5) for a more visible glow
-        this.bloomPass = new UnrealBloomPass(size, 0.5, 0.5, 0.7);
+        // Bloom (strength is further scaled per section by the moods)
+        const bloom = this.options.bloom;
+        this.bloomPass = new UnrealBloomPass(size, bloom.strength, bloom.radius, bloom.threshold);
         this.composer.addPass(this.bloomPass);
 
+        // The configurable stack (see addPass())
+        for (const entry of this.postPasses) {
+            entry.pass = createPostPass(entry.name);
+            this.composer.addPass(entry.pass);
+        }
+
         // Output pass for correct color space
         const outputPass = new OutputPass();
         this.composer.addPass(outputPass);
     }
 
     // ----------------------------------------------------------------
-    // Public API
+    // Adaptive quality
     // ----------------------------------------------------------------
 
     /**
-     * Set the current scroll progress.
-     * @param {number} progress - Value between 0 (top) and 1 (bottom)
+     * The tier to render at: the governor's, or the top one while renderAt()
+     * holds a frame, so a fixed frame doesn't depend on the device.
+     * @returns {Object} One of QUALITY_TIERS
      */
-    setScroll(progress) {
-        this.scrollProgress = Math.max(0, Math.min(1, progress));
+    _targetTier() {
+        return this.frozenFrame ? QUALITY_TIERS[QUALITY_TIERS.length - 1] : this.quality.tier;
     }
 
     /**
-     * Set the current mouse position (normalized).
-     * @param {number} x - Normalized x, range -1 to 1
-     * @param {number} y - Normalized y, range -1 to 1
+     * Apply a quality tier from quality.js to the renderer, composer,
+     * bloom pass, star field and background shader.
+     * @param {Object} tier - One of QUALITY_TIERS
      */
-    setMouse(x, y) {
-        this.mouseX = x;
-        this.mouseY = y;
+    _applyQualityTier(tier) {
+        this._activeTier = tier;
+
+        // Pixel ratio (renderer and composer render targets)
+        this._setPixelRatio(Math.min(this.pixelRatio, tier.pixelRatio, this.options.maxPixelRatio));
+
+        // Bloom on/off and its internal resolution
+        this.bloomPass.enabled = tier.bloom && this.bloomEnabled;
+        this._applyBloomResolution();
+
+        // Star count -- positions are random, so any prefix is an even spread
+        this.particles.geometry.setDrawRange(0, Math.round(this.options.stars.count * tier.stars));
+
+        // FBM octaves -- changing a define forces a shader recompile
+        for (const mesh of [this.bgMesh, this.bgIncoming]) {
+            if (!mesh || mesh.material.defines.FBM_OCTAVES === tier.octaves) continue;
+            mesh.material.defines.FBM_OCTAVES = tier.octaves;
+            mesh.material.needsUpdate = true;
+        }
     }
 
     /**
-     * Set the current scroll velocity for shader distortion.
-     * @param {number} v - Absolute velocity value, normalized (e.g. 0 to ~1)
+     * Set the pixel ratio of the renderer, the composer's render targets and
+     * the point shaders.
+     * @param {number} dpr
      */
-    setVelocity(v) {
-        if (!this.enabled) return;
-        this.bgUniforms.velocity.value = v;
+    _setPixelRatio(dpr) {
+        this.renderer.setPixelRatio(dpr);
+        this.composer.setPixelRatio(dpr);
+        this.starUniforms.pixelRatio.value = dpr;
+        this.trailUniforms.pixelRatio.value = dpr;
     }
 
     /**
-     * Main update loop. Call this every frame (typically via requestAnimationFrame).
-     * Updates shader uniforms, wireframes, particles, cursor trail, and renders.
+     * Resize the bloom render targets according to the applied tier's
+     * bloomScale. Must run after every composer.setSize, which resets them
+     * to full resolution.
      */
-    update() {
-        if (!this.enabled) return;
+    _applyBloomResolution() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const scale = this._activeTier.bloomScale;
+        this.bloomPass.setSize(
+            Math.max(1, Math.round(size.x * scale)),
+            Math.max(1, Math.round(size.y * scale))
+        );
+    }
 
-        const elapsed = this.clock.getElapsedTime();
+    // ----------------------------------------------------------------
+    // Live configuration
+    // ----------------------------------------------------------------
 
-        // 1. Update background shader uniforms
-        this.bgUniforms.time.value = elapsed;
-        this.bgUniforms.scroll.value = this.scrollProgress;
-        this.bgUniforms.mouse.value.set(this.mouseX, this.mouseY);
+    /**
+     * Remove an object from the scene and release its geometry and material.
+     * @param {THREE.Object3D} obj
+     */
+    _removeObject(obj) {
+        obj.removeFromParent();
+        obj.geometry.dispose();
+        obj.material.dispose();
+    }
 
-        // Gradually decay velocity toward 0 for a smooth stop
-        this.bgUniforms.velocity.value *= 0.95;
+    /**
+     * Replace the wireframes with the ones described by the current options.
+     */
+    _rebuildWireframes() {
+        this.geometries.forEach((mesh) => this._removeObject(mesh));
+        this.geometries = [];
+        this.hovered = null;
+        this._initWireframes();
+    }
 
-        // 2. Animate wireframe geometries
-        for (const mesh of this.geometries) {
-            const speed = mesh.userData.speed;
+    /**
+     * Replace the star field with one built from the current options.
+     */
+    _rebuildParticles() {
+        this._removeObject(this.particles);
+        this._initParticles();
+    }
+
+    /**
+     * Replace the cursor trail (the ring buffer size may have changed).
+     */
+    _rebuildCursorTrail() {
+        this._removeObject(this.trailMesh);
+        this._initCursorTrail();
+    }
+
+    // ----------------------------------------------------------------
+    // Reduced motion
+    // ----------------------------------------------------------------
+
+    /**
+     * Push the current reducedMotion flag into the scene graph. Also runs at
+     * the end of every build so a context restore keeps the mode.
+     */
+    _applyReducedMotion() {
+        // Very slow rather than frozen, so the background still reads as "alive"
+        this.motionScale = this.reducedMotion ? 0.05 : 1;
+
+        this.trailMesh.visible = !this.reducedMotion;
+
+        // Start the trail afresh next time rather than bridging the gap
+        this.trailLast = null;
+
+        if (this.reducedMotion) {
+            this.bgUniforms.velocity.value = 0;
+        }
+    }
+
+    // ----------------------------------------------------------------
+    // Section moods
+    // ----------------------------------------------------------------
+
+    /**
+     * The mood entry for a section, falling back to the default section's.
+     * @param {string} name
+     * @returns {Object}
+     */
+    _moodFor(name) {
+        const moods = this.options.moods;
+        return moods[name] || moods[DEFAULT_SECTION] || Object.values(moods)[0];
+    }
+
+    /**
+     * Convert a mood entry from moods.js into a mutable state object made of
+     * Three.js vectors and colours, so it can be eased component-wise.
+     * Values stay relative to the options; _applyMood() resolves them.
+     *
+     * The current theme is folded in here, so a theme switch eases exactly
+     * like a section change.
+     * @param {Object} def - An entry of options.moods
+     * @returns {Object}
+     */
+    _createMoodState(def) {
+        const theme = this.theme;
+
+        return {
+            cameraOffset:   new THREE.Vector3().fromArray(def.camera.offset),
+            cameraTarget:   new THREE.Vector3().fromArray(def.camera.target),
+            wireOffset:     new THREE.Vector3().fromArray(def.wireframes.offset),
+            wireSpread:     def.wireframes.spread,
+            wireScale:      def.wireframes.scale,
+            wireOpacity:    def.wireframes.opacityScale,
+            bloom:          def.bloomScale * (theme ? theme.bloom : 1),
+            exposure:       theme ? theme.exposure : DEFAULT_THEME_EXPOSURE,
+            palette:        this._createPalette(def)
+        };
+    }
+
+    /**
+     * A mood entry's palette as THREE.Colors, themed: the theme's palette
+     * stands in for the hero palette and this section's offset from hero is
+     * added on top.
+     * @param {Object} def - An entry of options.moods
+     * @returns {Object} { base, highlight, glow, accent }
+     */
+    _createPalette(def) {
+        const theme = this.theme;
+        const hero = this._moodFor(DEFAULT_SECTION).palette;
+        const paletteColor = (key) => {
+            const color = toColor(def.palette[key]);
+            return theme ? color.sub(toColor(hero[key])).add(toColor(theme.palette[key])) : color;
+        };
 
-            // Slow, meditative rotation on multiple axes
-            mesh.rotation.x += 0.001 * speed;
-            mesh.rotation.y += 0.0015 * speed;
-            mesh.rotation.z += 0.0005 * speed;
+        return {
+            base:      paletteColor('base'),
+            highlight: paletteColor('highlight'),
+            glow:      paletteColor('glow'),
+            accent:    paletteColor('accent')
+        };
+    }
 
-            // Subtle mouse-driven parallax offset
-            // Objects further away (larger z) get less parallax for depth realism
-            const depthFactor = 1.0 - (Math.abs(mesh.userData.basePosition.z) / 25.0);
-            const parallaxStrength = 0.8 * depthFactor;
-            mesh.position.x = mesh.userData.basePosition.x + this.mouseX * parallaxStrength;
-            mesh.position.y = mesh.userData.basePosition.y + this.mouseY * parallaxStrength;
+    /**
+     * Point every stop palette at its section's (re)themed colours; they
+     * ease there in _easeMood().
+     */
+    _retargetStopPalettes() {
+        for (const [name, entry] of this.stopPalettes) {
+            entry.target = this._createPalette(this._moodFor(name));
+        }
+    }
 
-            // Gentle floating motion (sine-based bob)
-            mesh.position.y += Math.sin(elapsed * 0.3 * speed + mesh.userData.speed * 10) * 0.15;
+    /**
+     * Ease the current mood toward the target mood. Frame-rate independent
+     * exponential smoothing (~1s to settle).
+     * @param {number} delta - Seconds since the last frame (real time)
+     */
+    _easeMood(delta) {
+        const k = 1 - Math.exp(-delta * 3);
+        const cur = this.mood;
+        const tgt = this.moodTarget;
+
+        // Camera moves are motion -- hold the pose in reduced-motion mode
+        if (!this.reducedMotion) {
+            cur.cameraOffset.lerp(tgt.cameraOffset, k);
+            cur.cameraTarget.lerp(tgt.cameraTarget, k);
         }
 
-        // 3. Slowly drift and rotate the particle field
-        if (this.particles) {
-            this.particles.rotation.y = elapsed * 0.01;
-            this.particles.rotation.x = elapsed * 0.005;
+        cur.wireOffset.lerp(tgt.wireOffset, k);
+        cur.wireSpread  += (tgt.wireSpread  - cur.wireSpread)  * k;
+        cur.wireScale   += (tgt.wireScale   - cur.wireScale)   * k;
+        cur.wireOpacity += (tgt.wireOpacity - cur.wireOpacity) * k;
+        cur.bloom       += (tgt.bloom       - cur.bloom)       * k;
+        cur.exposure    += (tgt.exposure    - cur.exposure)    * k;
+
+        for (const key of Object.keys(cur.palette)) {
+            cur.palette[key].lerp(tgt.palette[key], k);
         }
 
-        // 4. Update cursor particle trail
-        this._updateCursorTrail();
+        for (const { current, target } of this.stopPalettes.values()) {
+            for (const key of Object.keys(current)) current[key].lerp(target[key], k);
+        }
 
-        // 5. Render through the post-processing pipeline
-        this.composer.render();
+        this._applyMood();
     }
 
     /**
-     * Shift all trail positions down by one index and place the current
-     * mouse world-position at index 0, creating a trailing particle effect.
+     * Push the current mood state into the camera, wireframes, bloom pass and
+     * palette and exposure uniforms.
      */
-    _updateCursorTrail() {
-        if (!this.trailGeometry) return;
+    _applyMood() {
+        const mood = this.mood;
+        const opts = this.options;
 
-        const posAttr = this.trailGeometry.getAttribute('position');
-        const arr = posAttr.array;
-        const count = this.trailLength;
+        this.camera.position.set(0, 0, opts.camera.z).add(mood.cameraOffset);
+        this.camera.lookAt(mood.cameraTarget);
+        this.camera.updateMatrixWorld();
+
+        for (const mesh of this.geometries) {
+            mesh.userData.basePosition
+                .copy(mesh.userData.homePosition)
+                .multiplyScalar(mood.wireSpread)
+                .add(mood.wireOffset);
+            mesh.scale.setScalar(mood.wireScale * (1 + this.audio.x * 0.08));
+            mesh.material.opacity = this._wireframeOpacity(mesh);
+        }
+
+        this.bloomPass.strength = opts.bloom.strength * mood.bloom * (1 + this.audio.x * 0.6);
+
+        this.bgUniforms.themeExposure.value = mood.exposure;
+        this._applyPalette();
+    }
+
+    /**
+     * Write the palette stops into the background uniforms -- or, without
+     * stops, a single stop holding the eased mood palette.
+     */
+    _applyPalette() {
+        const u = this.bgUniforms;
+        const stops = this.paletteStops;
+        const count = stops.length || 1;
 
-        // Shift all positions down by one (from end to start)
-        for (let i = count - 1; i > 0; i--) {
-            const dst = i * 3;
-            const src = (i - 1) * 3;
-            arr[dst]     = arr[src];
-            arr[dst + 1] = arr[src + 1];
-            arr[dst + 2] = arr[src + 2];
+        for (let i = 0; i < count; i++) {
+            const palette = stops.length ? this.stopPalettes.get(stops[i].section).current : this.mood.palette;
+
+            u.paletteStopOffsets.value[i] = stops.length ? stops[i].offset : 0;
+            u.paletteStopBase.value[i].copy(palette.base);
+            u.paletteStopHighlight.value[i].copy(palette.highlight);
+            u.paletteStopGlow.value[i].copy(palette.glow);
+            u.paletteStopAccent.value[i].copy(palette.accent);
         }
+        u.paletteStopCount.value = count;
+    }
 
-        // Place current mouse world-position at index 0
-        // Use z = 5 (in front of wireframes, behind camera) for the trail plane
-        const worldPos = this._mouseToWorld(this.mouseX, this.mouseY, 5);
-        arr[0] = worldPos.x;
-        arr[1] = worldPos.y;
-        arr[2] = worldPos.z;
+    /**
+     * Ease the audio levels toward the latest bands (~0.15s to settle, which
+     * irons out analyser jitter without lagging the drone), or toward zero
+     * in reduced-motion mode -- audio-driven pulsing is motion too.
+     * @param {number} delta - Seconds since the last frame
+     */
+    _easeAudio(delta) {
+        const k = 1 - Math.exp(-delta * 8);
+
+        if (this.reducedMotion) this.audio.multiplyScalar(1 - k);
+        else this.audio.lerp(this.audioTarget, k);
+
+        this.bgUniforms.audio.value.copy(this.audio);
+        this.starUniforms.audioHigh.value = this.audio.z;
+    }
+
+    /**
+     * Opacity of a wireframe: base option x mood scale, brightened on hover.
+     * @param {THREE.Mesh} mesh
+     * @returns {number}
+     */
+    _wireframeOpacity(mesh) {
+        return this.options.wireframes.opacity * this.mood.wireOpacity * (1 + mesh.userData.hover * 1.5);
+    }
+
+    // ----------------------------------------------------------------
+    // Wireframe interaction
+    // ----------------------------------------------------------------
+
+    /**
+     * Raycast from the current mouse position against the wireframes.
+     * @returns {THREE.Intersection|null} The nearest hit, if any
+     */
+    _pickWireframe() {
+        // Three.js NDC y is flipped from screen y
+        this.pointer.set(this.mouseX, -this.mouseY);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const hits = this.raycaster.intersectObjects(this.geometries, false);
+        return hits.length ? hits[0] : null;
+    }
+
+    /**
+     * Write a cluster of points into the trail ring buffer around a world
+     * position. They age and fade like any other trail point.
+     * @param {THREE.Vector3} center
+     * @param {number} count  - Number of points
+     * @param {number} radius - World-space radius of the cluster
+     */
+    _emitTrailBurst(center, count, radius) {
+        if (this.reducedMotion) return;
+
+        const opts = this.options.trail;
+        const posAttr = this.trailGeometry.getAttribute('position');
+        const birthAttr = this.trailGeometry.getAttribute('birth');
+        const offset = new THREE.Vector3();
+        const random = this.random;
+
+        for (let i = 0; i < count; i++) {
+            // Uniform direction (as Vector3.randomDirection(), but seeded)
+            // and a cube-root radius for an even fill
+            const u = random() * 2 - 1;
+            const theta = random() * Math.PI * 2;
+            const ring = Math.sqrt(1 - u * u);
+            offset.set(ring * Math.cos(theta), ring * Math.sin(theta), u)
+                .multiplyScalar(radius * Math.cbrt(random()));
+
+            posAttr.setXYZ(this.trailHead,
+                center.x + offset.x, center.y + offset.y, center.z + offset.z);
+            birthAttr.setX(this.trailHead, this.trailTime);
+
+            this.trailHead = (this.trailHead + 1) % opts.length;
+        }
 
-        // Flag the attribute as needing an update
         posAttr.needsUpdate = true;
+        birthAttr.needsUpdate = true;
     }
 
+    // ----------------------------------------------------------------
+    // Context loss / restore
+    // ----------------------------------------------------------------
+
     /**
-     * Handle viewport resize. Updates camera, renderer, composer, and shader resolution.
-     * @param {number} width  - New viewport width in CSS pixels
-     * @param {number} height - New viewport height in CSS pixels
+     * Rebuild the renderer and everything that lived on the lost context.
+     * Scroll and mouse state live on the Scene itself and survive untouched;
+     * velocity and wireframe rotations are carried across explicitly.
      */
-    resize(width, height) {
-        if (!this.enabled) return;
+    _handleContextRestored() {
+        const velocity = this.bgUniforms.velocity.value;
+        const rotations = this.geometries.map((mesh) => mesh.rotation.clone());
 
-        // Update camera
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this._disposeGraph();
+        this._build();
 
-        // Update renderer
-        this.renderer.setSize(width, height);
+        this.bgUniforms.velocity.value = velocity;
+        this.geometries.forEach((mesh, i) => {
+            if (rotations[i]) mesh.rotation.copy(rotations[i]);
+        });
 
-        // Update post-processing composer
-        this.composer.setSize(width, height);
+        this.contextLost = false;
+        console.info('Scene: WebGL context restored -- scene rebuilt.');
+    }
 
-        // Update shader resolution uniform
-        this.bgUniforms.resolution.value.set(width, height);
+    /**
+     * Dispose every geometry, material, render target and the renderer itself.
+     * After a context loss the underlying GL handles are already gone, so this
+     * mostly releases the JavaScript-side bookkeeping.
+     */
+    _disposeGraph() {
+        this.scene.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
 
-        // Resize the background plane to cover the new viewport
-        const dist = 30 + 50;
-        const vFov = THREE.MathUtils.degToRad(45);
-        const planeHeight = 2 * Math.tan(vFov / 2) * dist;
-        const planeWidth = planeHeight * (width / height);
+        this.composer.passes.forEach((pass) => {
+            if (pass.dispose) pass.dispose();
+        });
+        this.composer.dispose();
+
+        // Rebuilt lazily on the next frame they're visible
+        this.previews.forEach((entry) => entry.preview && entry.preview.dispose());
+        this.previews.clear();
+
+        this.renderer.dispose();
+    }
+
+    // ----------------------------------------------------------------
+    // Public API
+    // ----------------------------------------------------------------
+
+    /**
+     * Set the current scroll progress.
+     * @param {number} progress - Value between 0 (top) and 1 (bottom)
+     */
+    setScroll(progress) {
+        this.scrollProgress = Math.max(0, Math.min(1, progress));
+    }
+
+    /**
+     * Set the current mouse position (normalized).
+     * @param {number} x - Normalized x, range -1 to 1
+     * @param {number} y - Normalized y, range -1 to 1
+     */
+    setMouse(x, y) {
+        this.mouseX = x;
+        this.mouseY = y;
+    }
+
+    /**
+     * Set the section currently in view. The scene eases toward that
+     * section's mood (moods.js). Unknown names are ignored.
+     * @param {string} name - A [data-section] value, e.g. 'projects'
+     */
+    setSection(name) {
+        if (!this.enabled || !this.options.moods[name] || name === this.activeSection) return;
+
+        this.activeSection = name;
+        this.moodTarget = this._createMoodState(this.options.moods[name]);
+    }
+
+    /**
+     * Set the theme's scene colours. The theme replaces the hero palette,
+     * the other sections keep their offset from it, and exposure and bloom
+     * scale with the theme -- all eased over like a section change.
+     * @param {Object|null} theme - From readSceneTheme() (theme.js):
+     *   { palette: { base, highlight, glow, accent }, exposure, bloom } with
+     *   linear [r, g, b] colours. null restores the built-in dark look.
+     */
+    setTheme(theme) {
+        if (!this.enabled) return;
+
+        this.theme = theme || null;
+        this.moodTarget = this._createMoodState(this._moodFor(this.activeSection));
+        this._retargetStopPalettes();
+    }
+
+    /**
+     * Place the section palettes along the page. The background shows stop
+     * i's section palette from its offset on, blending into the next stop's
+     * up to that one's offset -- two stops for the same section hold its
+     * colours between them. Offsets are in setScroll() progress (0-1) and
+     * must not decrease; ScrollManager measures them from the real section
+     * positions and sends new ones whenever the layout changes.
+     * @param {Array<{section: string, offset: number}>} stops - Sections without
+     *   a mood use the default section's palette. An empty list goes back to
+     *   the active section's eased palette.
+     */
+    setPaletteStops(stops) {
+        if (!this.enabled) return;
+
+        let list = Array.isArray(stops) ? stops : [];
+        if (list.length > MAX_PALETTE_STOPS) {
+            console.warn(`Scene: ${list.length} palette stops given -- only the first ${MAX_PALETTE_STOPS} are used.`);
+            list = list.slice(0, MAX_PALETTE_STOPS);
+        }
+        this.paletteStops = list.map(({ section, offset }) => ({ section, offset }));
+
+        // Sections new to the stops start at their colours; the others keep
+        // whatever ease they are in
+        const sections = new Set(this.paletteStops.map((stop) => stop.section));
+        for (const name of this.stopPalettes.keys()) {
+            if (!sections.has(name)) this.stopPalettes.delete(name);
+        }
+        for (const name of sections) {
+            if (this.stopPalettes.has(name)) continue;
+            const def = this._moodFor(name);
+            this.stopPalettes.set(name, { current: this._createPalette(def), target: this._createPalette(def) });
+        }
+
+        if (!this.contextLost) this._applyPalette();
+    }
+
+    /**
+     * Handle a click on the page background. If a wireframe is under the
+     * cursor it gets a burst of spin and trail particles, and a
+     * `wireframeclick` CustomEvent is dispatched on the canvas with
+     * `{ name, section, index }` in its detail.
+     *
+     * The canvas sits behind the DOM content, so the caller is responsible
+     * for only forwarding clicks that didn't land on interactive elements.
+     * @returns {boolean} True if a wireframe was hit
+     */
+    handleClick() {
+        if (!this.enabled || this.contextLost) return false;
+
+        const hit = this._pickWireframe();
+        if (!hit) return false;
+
+        const mesh = hit.object;
+        mesh.userData.spin += 6;
+        this._emitTrailBurst(hit.point, 24, 1.5);
+
+        this.canvas.dispatchEvent(new CustomEvent('wireframeclick', {
+            detail: {
+                name: mesh.userData.name,
+                section: mesh.userData.section,
+                index: this.geometries.indexOf(mesh)
+            }
+        }));
+
+        return true;
+    }
+
+    /**
+     * Set the card previews to draw (see previews.js). Call every frame with
+     * the cards' current rects, in CSS pixels relative to the canvas; cards
+     * outside the viewport are skipped when drawing.
+     * @param {Array<{type: string, x: number, y: number, width: number, height: number}>} views
+     */
+    setPreviews(views) {
+        if (!this.enabled) return;
+
+        this.previewViews = views || [];
+
+        // Drop previews whose card is gone
+        this.previews.forEach((entry, index) => {
+            if (index < this.previewViews.length) return;
+            if (entry.preview) entry.preview.dispose();
+            this.previews.delete(index);
+        });
+    }
+
+    /**
+     * Set the ambient audio's band energies (see AudioManager.getBands()).
+     * Call every frame; pass null or zeros when the audio is off. Bass lifts
+     * bloom, the glow pulse and the wireframe scale, mid the breathing, high
+     * the star twinkle. The bands ease to zero in reduced-motion mode, so
+     * the scene then looks exactly as it does without audio.
+     * @param {{bass: number, mid: number, high: number}|null} bands - Each 0 to 1
+     */
+    setAudioBands(bands) {
+        if (!this.enabled) return;
+
+        if (bands) this.audioTarget.set(bands.bass, bands.mid, bands.high);
+        else this.audioTarget.set(0, 0, 0);
+    }
+
+    /**
+     * Set the current scroll velocity for shader distortion.
+     * @param {number} v - Absolute velocity value, normalized (e.g. 0 to ~1)
+     */
+    setVelocity(v) {
+        if (!this.enabled || this.reducedMotion) return;
+        this.bgUniforms.velocity.value = v;
+    }
+
+    /**
+     * Pin a background uniform to a fixed value, or hand it back to the scene.
+     * Applied every frame after the scene's own updates, so the stars and the
+     * pass stack follow a pinned velocity too.
+     * @param {string} name - A key of UNIFORM_OVERRIDES (options.js)
+     * @param {number|number[]|null} value - Throws TypeError if invalid; null clears
+     */
+    setUniformOverride(name, value) {
+        if (!this.enabled) return;
+
+        const values = resolveUniformOverride(name, value);
+        if (values) this.uniformOverrides.set(name, values);
+        else this.uniformOverrides.delete(name);
+    }
+
+    /**
+     * Write the pinned values into the background uniforms.
+     */
+    _applyUniformOverrides() {
+        for (const [name, values] of this.uniformOverrides) {
+            const uniform = this.bgUniforms[name];
+            if (typeof uniform.value === 'number') uniform.value = values[0];
+            else uniform.value.fromArray(values);
+        }
+    }
+
+    /**
+     * Switch reduced-motion mode on or off (see motion.js).
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = !!reduced;
+        if (!this.enabled) return;
+        this._applyReducedMotion();
+    }
+
+    /**
+     * The quality tier currently in use (see QUALITY_TIERS in quality.js),
+     * or null when the scene is disabled.
+     * @returns {Object|null}
+     */
+    get qualityTier() {
+        if (!this.enabled) return null;
+        return this.quality.tier;
+    }
+
+    /**
+     * Tear the scene down: dispose every geometry, material, render target
+     * and the renderer, then release the WebGL context itself so a new
+     * Scene can be created on the same page without leaking contexts.
+     * The instance is disabled afterwards; every public method is a no-op.
+     * The canvas can't host another WebGL context after this, so give the
+     * next Scene a fresh <canvas> element.
+     */
+    destroy() {
+        if (!this.enabled) return;
+
+        // A running record() notices on its next frame and rejects
+        this.enabled = false;
+
+        if (this.viewportObserver) this.viewportObserver.destroy();
+
+        this.canvas.removeEventListener('webglcontextlost', this._onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this._onContextRestored);
+
+        this._disposeGraph();
+
+        // dispose() frees our resources but leaves the context alive until
+        // garbage collection -- browsers cap live contexts, so drop it now
+        if (!this.contextLost) this.renderer.forceContextLoss();
+
+        this.scene.clear();
+        this.geometries = [];
+        this.hovered = null;
+        this.quality.onChange = null;
+
+        // Nothing will be drawn now -- don't leave a loader waiting
+        this._frameRendered();
+    }
+
+    /**
+     * Change options at runtime. `partialOptions` is deep-merged over the
+     * current options (see options.js) and validated before anything is
+     * touched, so an invalid call throws and leaves the scene as it was.
+     * Only the parts of the scene affected by the given keys are rebuilt.
+     * @param {Object} partialOptions
+     */
+    configure(partialOptions) {
+        if (!this.enabled) return;
+
+        const previous = this.options;
+        const next = resolveSceneOptions(partialOptions, this.options);
+        this.options = next;
+
+        // The rebuild on a context restore reads this.options anyway
+        if (this.contextLost) return;
+
+        const changed = (key) => partialOptions[key] !== undefined;
+
+        if (changed('camera')) {
+            this.camera.fov = next.camera.fov;
+            this.camera.updateProjectionMatrix();
+
+            this._sizeBackground(this.width, this.height);
+        }
+
+        if (changed('background')) {
+            const current = this.bgIncoming || this.bgMesh;
+            if (current.userData.preset !== next.background) this._setBackground(next.background);
+        }
+
+        if (changed('seed')) this.random = createRandom(next.seed, RANDOM_STREAMS.bursts);
+
+        if (changed('wireframes') || changed('seed')) {
+            // Speed tweaks keep the meshes (and their current rotation)
+            if (!changed('seed') && differsOnlyInSpeed(previous.wireframes, next.wireframes)) {
+                this.geometries.forEach((mesh, i) => { mesh.userData.speed = next.wireframes.items[i].speed; });
+            } else {
+                this._rebuildWireframes();
+            }
+        }
+        if (changed('stars') || changed('seed')) this._rebuildParticles();
+
+        if (changed('trail')) {
+            this._rebuildCursorTrail();
+            this._applyReducedMotion();
+        }
+
+        if (changed('bloom')) {
+            this.bloomPass.radius = next.bloom.radius;
+            this.bloomPass.threshold = next.bloom.threshold;
+        }
+
+        if (changed('toneMappingExposure')) {
+            this.renderer.toneMappingExposure = next.toneMappingExposure;
+        }
+
+        if (changed('moods')) {
+            // The active section may no longer have a mood of its own
+            this.moodTarget = this._createMoodState(this._moodFor(this.activeSection));
+            this._retargetStopPalettes();
+        }
+
+        // Pixel ratio caps and the star draw range depend on the options too
+        if (changed('maxPixelRatio') || changed('stars') || changed('trail') || changed('seed')) {
+            this._applyQualityTier(this._targetTier());
+        }
+
+        // Camera pose, wireframe opacity and bloom strength are derived from
+        // the options every time the mood is applied
+        this._applyMood();
+    }
+
+    // ----------------------------------------------------------------
+    // Post-processing stack
+    // ----------------------------------------------------------------
+
+    /**
+     * Add a pass to the post-processing stack, which runs after the bloom
+     * and before the output pass.
+     * @param {string} name - A key of POST_PASSES (passes.js)
+     * @param {Object}  [opts]
+     * @param {number}  [opts.index]   - Position in the stack (default: last)
+     * @param {boolean} [opts.enabled] - Default true
+     * @returns {boolean} False if the name is unknown or already in the stack
+     */
+    addPass(name, { index, enabled = true } = {}) {
+        if (!this.enabled) return false;
+
+        if (!POST_PASSES[name]) {
+            console.warn(`Scene: Unknown post-processing pass "${name}" -- expected one of ${Object.keys(POST_PASSES).join(', ')}.`);
+            return false;
+        }
+        if (this.postPasses.some((entry) => entry.name === name)) return false;
+
+        const stack = this.postPasses;
+        const at = index === undefined ? stack.length : Math.max(0, Math.min(index, stack.length));
+        const entry = { name, enabled: !!enabled, pass: null };
+        stack.splice(at, 0, entry);
+
+        // While the context is lost the rebuild creates it with the rest
+        if (!this.contextLost) {
+            entry.pass = createPostPass(name);
+            entry.pass.enabled = false;
+            this.composer.insertPass(entry.pass, this.composer.passes.indexOf(this.bloomPass) + 1 + at);
+        }
+        return true;
+    }
+
+    /**
+     * Remove a pass from the post-processing stack and free it.
+     * @param {string} name
+     * @returns {boolean} False if it wasn't in the stack
+     */
+    removePass(name) {
+        if (!this.enabled) return false;
+
+        const index = this.postPasses.findIndex((entry) => entry.name === name);
+        if (index === -1) return false;
+
+        const [entry] = this.postPasses.splice(index, 1);
+        if (entry.pass) {
+            this.composer.removePass(entry.pass);
+            entry.pass.dispose();
+        }
+        return true;
+    }
+
+    /**
+     * Switch a pass of the stack, or the bloom ('bloom'), on or off without
+     * removing it. An enabled stack pass still only runs while it has an
+     * effect, and bloom still follows the quality tier.
+     * @param {string}  name
+     * @param {boolean} enabled
+     * @returns {boolean} False for a name that is neither
+     */
+    setPassEnabled(name, enabled) {
+        if (!this.enabled) return false;
+
+        if (name === 'bloom') {
+            this.bloomEnabled = !!enabled;
+            if (!this.contextLost) this.bloomPass.enabled = this._activeTier.bloom && this.bloomEnabled;
+            return true;
+        }
+
+        const entry = this.postPasses.find((e) => e.name === name);
+        if (!entry) return false;
+
+        entry.enabled = !!enabled;
+        return true;
+    }
+
+    /**
+     * The bloom followed by the stack, in render order.
+     * @returns {Array<{name: string, enabled: boolean}>}
+     */
+    getPasses() {
+        return [
+            { name: 'bloom', enabled: this.bloomEnabled },
+            ...this.postPasses.map(({ name, enabled }) => ({ name, enabled }))
+        ];
+    }
+
+    /**
+     * Drive the stack from this frame's velocity. Passes that would leave
+     * the image unchanged are skipped, so the stack costs nothing at rest.
+     */
+    _updatePostPasses() {
+        const frame = this._postFrame;
+        const size = this.renderer.getDrawingBufferSize(this._bufferSize);
+
+        frame.velocity = this.bgUniforms.velocity.value;
+        frame.time = this.elapsed;
+        frame.width = size.x;
+        frame.height = size.y;
+
+        for (const entry of this.postPasses) {
+            entry.pass.enabled = entry.enabled && POST_PASSES[entry.name].update(entry.pass, frame);
+        }
+    }
+
+    // ----------------------------------------------------------------
+    // Capture and recording
+    // ----------------------------------------------------------------
+
+    /**
+     * Render the current frame to a PNG at any resolution. The canvas is
+     * resized for a single render at the top quality tier and restored
+     * before the browser gets to paint, so nothing visible changes.
+     * @param {Object} [opts]
+     * @param {number} [opts.width]  - Width in CSS pixels (defaults to the viewport)
+     * @param {number} [opts.height] - Height in CSS pixels (defaults to the viewport)
+     * @param {number} [opts.scale]  - Pixel ratio of the output (default 1)
+     * @returns {Promise<Blob>} PNG of width * scale by height * scale pixels
+     */
+    capture(opts = {}) {
+        if (!this.enabled || this.contextLost) {
+            return Promise.reject(new Error('Scene: Cannot capture while the scene is disabled or the context is lost.'));
+        }
+
+        // Default to (and restore) the latest viewport, not a stale one
+        this._flushViewport();
+        const { width = this.width, height = this.height, scale = 1 } = opts;
+
+        const max = this.renderer.capabilities.maxTextureSize;
+        for (const [name, value] of [['width', width], ['height', height], ['scale', scale]]) {
+            if (typeof value !== 'number' || !(value > 0)) {
+                return Promise.reject(new RangeError(`Scene: capture ${name} must be a positive number.`));
+            }
+        }
+        if (width * scale > max || height * scale > max) {
+            return Promise.reject(new RangeError(`Scene: capture size exceeds the GPU limit of ${max}px.`));
+        }
+
+        // Render once at the requested size, top tier, exact pixel ratio
+        this._applyQualityTier(QUALITY_TIERS[QUALITY_TIERS.length - 1]);
+        this._setPixelRatio(scale);
+        this._applyViewport(width, height);
+        this.composer.render();
+
+        // Both take their snapshot synchronously, before the restore below
+        const blob = this.canvas.convertToBlob
+            ? this.canvas.convertToBlob({ type: 'image/png' })
+            : new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'));
+
+        // Restore the live tier and size, and redraw so no resized frame is shown
+        this._applyQualityTier(this._targetTier());
+        this._applyViewport(this.width, this.height);
+        this.composer.render();
+        this._renderPreviews();
+
+        return blob;
+    }
+
+    /**
+     * Record a WebM clip of the background. Frames are advanced by a fixed
+     * 1 / fps step rather than the wall clock, so every frame is evenly
+     * spaced in scene time even if rendering stutters. update() stands aside
+     * while recording.
+     * @param {Object} [opts]
+     * @param {number} [opts.duration] - Seconds (default 5)
+     * @param {number} [opts.fps]      - Frames per second (default 30)
+     * @returns {Promise<Blob>} The WebM video
+     */
+    record({ duration = 5, fps = 30 } = {}) {
+        if (!this.enabled || this.contextLost) {
+            return Promise.reject(new Error('Scene: Cannot record while the scene is disabled or the context is lost.'));
+        }
+        if (this.recording) {
+            return Promise.reject(new Error('Scene: A recording is already in progress.'));
+        }
+        if (this.frozenFrame) {
+            return Promise.reject(new Error('Scene: Cannot record while renderAt() holds a frame -- call resume() first.'));
+        }
+        if (typeof this.canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+            return Promise.reject(new Error('Scene: Recording needs canvas.captureStream() and MediaRecorder.'));
+        }
+        if (typeof duration !== 'number' || !(duration > 0)) {
+            return Promise.reject(new RangeError('Scene: record duration must be a positive number.'));
+        }
+        if (typeof fps !== 'number' || !(fps >= 1 && fps <= 120)) {
+            return Promise.reject(new RangeError('Scene: record fps must be between 1 and 120.'));
+        }
+
+        // Unsupported types and streams throw here -- reject like the checks above
+        let mimeType, track, recorder;
+        try {
+            mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+
+            // captureStream(0) only grabs a frame when asked via requestFrame()
+            const stream = this.canvas.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+        } catch (err) {
+            if (track) track.stop();
+            return Promise.reject(err);
+        }
+
+        const frames = Math.max(1, Math.round(duration * fps));
+        const step = 1 / fps;
+        const chunks = [];
+        let frame = 0;
+        let failure = null;
+
+        this.recording = true;
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                clearTimeout(this._recordTimer);
+                this._recordTimer = null;
+                track.stop();
+                this.recording = false;
+
+                // Don't let update() see the whole recording as one frame
+                this.clock.getDelta();
+            };
+
+            recorder.ondataavailable = (e) => {
+                if (e.data.size) chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                finish();
+                if (failure) reject(failure);
+                else resolve(new Blob(chunks, { type: mimeType.split(';')[0] || 'video/webm' }));
+            };
+            recorder.onerror = (e) => {
+                failure = e.error || new Error('Scene: Recording failed.');
+            };
+
+            // Frames go out on a real-time schedule so MediaRecorder's
+            // timestamps match, but scene time only ever moves by `step`
+            const start = performance.now();
+            const tick = () => {
+                if (!this.enabled || this.contextLost) {
+                    failure = new Error('Scene: Recording aborted -- the scene was destroyed or the context was lost.');
+                    recorder.stop();
+                    return;
+                }
+
+                this._advance(step);
+                this.composer.render();
+                track.requestFrame();
+                frame++;
+
+                if (frame < frames) {
+                    const next = start + frame * step * 1000;
+                    this._recordTimer = setTimeout(tick, Math.max(0, next - performance.now()));
+                } else {
+                    recorder.stop();
+                }
+            };
+
+            try {
+                recorder.start();
+            } catch (err) {
+                finish();
+                reject(err);
+                return;
+            }
+            tick();
+        });
+    }
+
+    // ----------------------------------------------------------------
+    // Loading
+    // ----------------------------------------------------------------
+
+    /**
+     * Compile the shaders of everything in the scene graph ahead of the
+     * first frame (renderer.compile()). Uses compileAsync() where the
+     * renderer has it, so the driver can compile in parallel without
+     * blocking the thread. The post-processing passes compile with the
+     * first frame. Repeated calls return the same promise.
+     * @returns {Promise<void>} Resolves once the shaders are ready
+     */
+    compile() {
+        if (!this.enabled || this.contextLost) return Promise.resolve();
+
+        if (!this._compiled) {
+            const { renderer, scene, camera } = this;
+            this._compiled = renderer.compileAsync
+                ? renderer.compileAsync(scene, camera).then(() => {})
+                : Promise.resolve().then(() => { renderer.compile(scene, camera); });
+        }
+        return this._compiled;
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once a frame has been rendered (or
+     *                          the scene destroyed before one was)
+     */
+    firstFrame() {
+        if (!this.enabled) return Promise.resolve();
+        return this._firstFrame;
+    }
+
+    _frameRendered() {
+        if (!this._resolveFirstFrame) return;
+        this._resolveFirstFrame();
+        this._resolveFirstFrame = null;
+    }
+
+    // ----------------------------------------------------------------
+    // Fixed-clock rendering
+    // ----------------------------------------------------------------
+
+    /**
+     * Render one deterministic frame and hold the scene on it. What is drawn
+     * follows from the arguments alone, not from earlier frames:
+     *   - scene time, scroll, mouse and velocity come from `frame`
+     *   - the section mood, theme and any background crossfade are snapped
+     *     to where they were heading
+     *   - wireframe rotation is worked out from the start rotation and `time`
+     *   - the cursor trail, hover/click spin and audio bands are left out
+     *   - the top quality tier is used, whatever this device manages
+     * With options.seed set, the same arguments give the same pixels on every
+     * load. update() keeps redrawing the frame (following resizes, and
+     * capture() captures it) until resume().
+     * @param {Object}   [frame]
+     * @param {number}   [frame.time]     - Scene time in seconds (default 0)
+     * @param {number}   [frame.scroll]   - 0 to 1 (default 0)
+     * @param {number[]} [frame.mouse]    - [x, y], each -1 to 1 (default [0, 0])
+     * @param {number}   [frame.velocity] - As setVelocity() takes it (default 0)
+     */
+    renderAt(frame) {
+        if (!this.enabled) return;
+
+        const next = resolveFrame(frame);
+        if (this.recording) {
+            console.warn('Scene: renderAt() ignored while recording.');
+            return;
+        }
+
+        const entering = !this.frozenFrame;
+        this.frozenFrame = next;
+        if (this.contextLost) return;
+
+        if (entering) this._applyQualityTier(this._targetTier());
+        this._flushViewport();
+        this._renderFrozenFrame();
+    }
+
+    /**
+     * Hand the scene back to the wall clock after renderAt(). Animation
+     * carries on from the held frame.
+     */
+    resume() {
+        if (!this.enabled || !this.frozenFrame) return;
+
+        this.frozenFrame = null;
+
+        // Don't let update() see the hold as one long frame
+        this.clock.getDelta();
+
+        // A context restore rebuilds both anyway
+        if (this.contextLost) return;
+        this.trailMesh.visible = true;
+        this._applyQualityTier(this._targetTier());
+    }
+
+    /**
+     * Set every animated part of the scene from frozenFrame and render it.
+     */
+    _renderFrozenFrame() {
+        const { time, scroll, mouse, velocity } = this.frozenFrame;
+
+        this.elapsed = time;
+        this.scrollProgress = scroll;
+        this.mouseX = mouse[0];
+        this.mouseY = mouse[1];
+
+        // Snap everything that eases to its target. Hover and spin go first:
+        // the mood sets the wireframe opacity from them
+        this.hovered = null;
+        for (const mesh of this.geometries) {
+            mesh.userData.hover = 0;
+            mesh.userData.spin = 0;
+        }
+        if (this.bgIncoming) this._finishBackgroundFade();
+        this.audio.set(0, 0, 0);
+        this._easeAudio(0);
+        this._easeMood(Infinity);
+
+        this.bgUniforms.time.value = time;
+        this.bgUniforms.scroll.value = scroll;
+        this.bgUniforms.mouse.value.set(mouse[0], mouse[1]);
+        this.bgUniforms.velocity.value = this.reducedMotion ? 0 : velocity;
+        this._applyUniformOverrides();
+        this._updatePostPasses();
+
+        // The per-frame rotation steps in _advance(), taken at REFERENCE_FPS
+        const frames = time * REFERENCE_FPS;
+        for (const mesh of this.geometries) {
+            const { startRotation, speed } = mesh.userData;
+            mesh.rotation.set(
+                startRotation.x + 0.001 * speed * frames,
+                startRotation.y + 0.0015 * speed * frames,
+                startRotation.z + 0.0005 * speed * frames
+            );
+            this._placeWireframe(mesh);
+        }
+
+        this._updateStarUniforms();
+        this.trailMesh.visible = false;
+
+        this.composer.render();
+        this._frameRendered();
+    }
+
+    /**
+     * Main update loop. Call this every frame (typically via requestAnimationFrame).
+     * Updates shader uniforms, wireframes, particles, cursor trail, and renders.
+     */
+    update() {
+        if (!this.enabled || this.contextLost || this.recording) return;
+
+        // At most one resize per frame, however many requests came in
+        this._flushViewport();
+
+        // Held by renderAt() -- keep showing that frame
+        if (this.frozenFrame) {
+            this._renderFrozenFrame();
+            return;
+        }
+
+        // Feed the frame time to the quality governor (may switch tiers)
+        this.quality.sample();
+
+        // Advance scene time (clamped so a background tab doesn't jump ahead)
+        this._advance(Math.min(this.clock.getDelta(), 0.1));
+
+        // Render through the post-processing pipeline
+        this.composer.render();
+
+        // Card previews go on top, straight to the canvas
+        this._renderPreviews();
+        this._frameRendered();
+    }
+
+    /**
+     * Draw every on-screen card preview into its own scissored viewport. The
+     * colour buffer isn't cleared, so the background shows around the model
+     * and through the card's transparent preview slot.
+     */
+    _renderPreviews() {
+        const views = this.previewViews;
+        if (!views.length) return;
+
+        const renderer = this.renderer;
+        let drawn = false;
+
+        views.forEach((view, index) => {
+            const { x, y, width, height } = view;
+
+            // Off screen -- e.g. further along the horizontal project track
+            if (!(width > 0 && height > 0)) return;
+            if (x + width < 0 || y + height < 0 || x > this.width || y > this.height) return;
+
+            const preview = this._previewFor(index, view.type);
+            if (!preview) return;
+
+            if (!drawn) {
+                renderer.autoClear = false;
+                renderer.setScissorTest(true);
+                drawn = true;
+            }
+
+            // WebGL puts the origin at the bottom left, the DOM at the top left
+            const bottom = this.height - y - height;
+            renderer.setViewport(x, bottom, width, height);
+            renderer.setScissor(x, bottom, width, height);
+            renderer.clearDepth();
+
+            preview.update(this.elapsed);
+            preview.render(renderer, width / height);
+        });
+
+        if (drawn) {
+            renderer.setScissorTest(false);
+            renderer.setViewport(0, 0, this.width, this.height);
+            renderer.autoClear = true;
+        }
+    }
+
+    /**
+     * The built preview at a list index, (re)creating it if the type changed.
+     * Unknown types warn once and stay empty.
+     * @param {number} index
+     * @param {string} type
+     * @returns {Object|null}
+     */
+    _previewFor(index, type) {
+        const entry = this.previews.get(index);
+        if (entry && entry.type === type) return entry.preview;
+
+        if (entry && entry.preview) entry.preview.dispose();
+
+        const preview = createPreview(type);
+        if (!preview) console.warn(`Scene: Unknown preview type "${type}".`);
+
+        this.previews.set(index, { type, preview });
+        return preview;
+    }
+
+    /**
+     * Advance every animation by `delta` seconds without rendering. Driven by
+     * the wall clock from update(), or by a fixed timestep from record().
+     * @param {number} delta - Seconds
+     */
+    _advance(delta) {
+        this.elapsed += delta * this.motionScale;
+        const elapsed = this.elapsed;
+        const motion = this.motionScale;
+
+        // Audio levels first -- the mood applies them to bloom and wireframes
+        this._easeAudio(delta);
+        this._advanceBackgroundFade(delta);
+
+        // Ease toward the active section's mood (camera, layout, bloom, palette)
+        this._easeMood(delta);
+
+        // 1. Update background shader uniforms
+        this.bgUniforms.time.value = elapsed;
+        this.bgUniforms.scroll.value = this.scrollProgress;
+        this.bgUniforms.mouse.value.set(this.mouseX, this.mouseY);
+
+        // Gradually decay velocity toward 0 for a smooth stop
+        this.bgUniforms.velocity.value *= 0.95;
+
+        // Pinned values win over everything above
+        this._applyUniformOverrides();
+
+        // The pass stack follows the same velocity
+        this._updatePostPasses();
+
+        // 2. Animate wireframe geometries
+        const hit = this._pickWireframe();
+        this.hovered = hit ? hit.object : null;
+
+        for (const mesh of this.geometries) {
+            const ud = mesh.userData;
+            const speed = ud.speed;
+
+            // Hover eases in/out; click impulses decay back to zero
+            ud.hover += ((mesh === this.hovered ? 1 : 0) - ud.hover) * Math.min(1, delta * 8);
+            ud.spin *= Math.exp(-delta * 2.5);
+            mesh.material.opacity = this._wireframeOpacity(mesh);
+
+            // Slow, meditative rotation on multiple axes (faster when hovered
+            // or after a click)
+            const spinBoost = 1 + ud.hover * 3 + ud.spin;
+            mesh.rotation.x += 0.001 * speed * motion * spinBoost;
+            mesh.rotation.y += 0.0015 * speed * motion * spinBoost;
+            mesh.rotation.z += 0.0005 * speed * motion * spinBoost;
+
+            this._placeWireframe(mesh);
+        }
+
+        // 3. Star field -- drift, twinkle, parallax and streaks run on the GPU
+        this._updateStarUniforms();
+
+        // 4. Update cursor particle trail
+        this._updateCursorTrail(delta);
+    }
+
+    /**
+     * Position a wireframe for the current scene time and mouse position:
+     * its mood position plus parallax and bob. Rotation is up to the caller.
+     * @param {THREE.Mesh} mesh
+     */
+    _placeWireframe(mesh) {
+        const ud = mesh.userData;
+
+        // Subtle mouse-driven parallax offset (off in reduced-motion mode)
+        // Objects further away (larger z) get less parallax for depth realism
+        const depthFactor = 1.0 - (Math.abs(ud.basePosition.z) / 25.0);
+        const parallaxStrength = this.reducedMotion ? 0 : 0.8 * depthFactor;
+        mesh.position.x = ud.basePosition.x + this.mouseX * parallaxStrength;
+        mesh.position.y = ud.basePosition.y + this.mouseY * parallaxStrength;
+
+        // Gentle floating motion (sine-based bob)
+        mesh.position.y += Math.sin(this.elapsed * 0.3 * ud.speed + ud.speed * 10) * 0.15;
+    }
+
+    /**
+     * Feed the star field this frame's time, velocity and mouse position.
+     */
+    _updateStarUniforms() {
+        this.starUniforms.time.value = this.elapsed;
+        this.starUniforms.velocity.value = this.bgUniforms.velocity.value;
+        this.starUniforms.mouse.value.set(this.mouseX, this.mouseY);
+        this.starUniforms.parallax.value = this.reducedMotion ? 0 : 1;
+    }
+
+    /**
+     * Advance the trail clock and emit new points along the path the cursor
+     * travelled since the last emission. Emission scales with cursor speed:
+     * one point per `spacing` world units, capped at `maxPerFrame`. When the
+     * cursor is idle nothing is emitted and the existing points expire.
+     * @param {number} delta - Seconds since the last frame
+     */
+    _updateCursorTrail(delta) {
+        if (!this.trailGeometry || this.reducedMotion) return;
+
+        const opts = this.options.trail;
+
+        this.trailTime += delta;
+        this.trailUniforms.time.value = this.trailTime;
+
+        // Current mouse world-position
+        // Use z = 5 (in front of wireframes, behind camera) for the trail plane
+        const worldPos = this._mouseToWorld(this.mouseX, this.mouseY, 5);
+
+        if (!this.trailLast) {
+            this.trailLast = worldPos;
+            return;
+        }
+
+        // Not enough travel yet -- keep accumulating from the last emission
+        const dist = worldPos.distanceTo(this.trailLast);
+        const steps = Math.min(opts.maxPerFrame, Math.floor(dist / opts.spacing));
+        if (steps === 0) return;
+
+        const posAttr = this.trailGeometry.getAttribute('position');
+        const birthAttr = this.trailGeometry.getAttribute('birth');
+        const point = new THREE.Vector3();
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            point.lerpVectors(this.trailLast, worldPos, t);
+
+            // Spread births across the frame so ages along the segment are smooth
+            posAttr.setXYZ(this.trailHead, point.x, point.y, point.z);
+            birthAttr.setX(this.trailHead, this.trailTime - delta * (1 - t));
+
+            this.trailHead = (this.trailHead + 1) % opts.length;
+        }
+
+        this.trailLast = worldPos;
+
+        // Flag the attributes as needing an update
+        posAttr.needsUpdate = true;
+        birthAttr.needsUpdate = true;
+    }
+
+    /**
+     * Request a viewport change. Requests are coalesced and applied once, at
+     * the start of the next frame, however many arrive in between. Called by
+     * the ViewportObserver on the main thread; can also be called directly.
+     * @param {number} width        - New viewport width in CSS pixels
+     * @param {number} height       - New viewport height in CSS pixels
+     * @param {number} [pixelRatio] - New device pixel ratio, if it changed
+     */
+    resize(width, height, pixelRatio) {
+        if (!this.enabled) return;
+
+        this._pendingViewport = {
+            width,
+            height,
+            pixelRatio: pixelRatio ?? (this._pendingViewport ? this._pendingViewport.pixelRatio : this.pixelRatio)
+        };
+    }
+
+    /**
+     * Apply the pending resize() request, if any.
+     */
+    _flushViewport() {
+        const view = this._pendingViewport;
+        if (!view) return;
+        this._pendingViewport = null;
+
+        const sizeChanged = view.width !== this.width || view.height !== this.height;
+        const pixelRatioChanged = view.pixelRatio !== this.pixelRatio;
+
+        this.width = view.width;
+        this.height = view.height;
+        this.pixelRatio = view.pixelRatio;
+
+        // Re-applying the tier sets the new (capped) pixel ratio
+        if (pixelRatioChanged) this._applyQualityTier(this._targetTier());
+        if (sizeChanged || pixelRatioChanged) this._applyViewport(view.width, view.height);
+    }
+
+    /**
+     * Size the camera, renderer, composer and size-dependent uniforms for a
+     * viewport, without touching the stored one (capture() renders at other
+     * sizes temporarily).
+     * @param {number} width  - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    _applyViewport(width, height) {
+        // Update camera
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        // Update renderer
+        this.renderer.setSize(width, height, false);
+
+        // Update post-processing composer (resets bloom to full size, so
+        // re-apply the tier's bloom scale afterwards)
+        this.composer.setSize(width, height);
+        this._applyBloomResolution();
+
+        // Update shader resolution uniform
+        this.bgUniforms.resolution.value.set(width, height);
+
+        // Point size attenuation is relative to the viewport height
+        this.starUniforms.scale.value = height * 0.5;
+        this.trailUniforms.scale.value = height * 0.5;
 
-        this.bgMesh.geometry.dispose();
-        this.bgMesh.geometry = new THREE.PlaneGeometry(planeWidth * 1.2, planeHeight * 1.2);
+        // Rescale the background plane to cover the new viewport
+        this._sizeBackground(width, height);
     }
 }
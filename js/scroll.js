@@ -2,34 +2,84 @@
  * scroll.js
  * ---------
  * Manages all scroll-driven animations and section tracking for the portfolio.
- * Uses GSAP and ScrollTrigger (loaded as global scripts, NOT imported).
- * Uses Lenis for smooth scrolling (received as constructor parameter).
+ * GSAP, ScrollTrigger and Lenis are injected through the constructor's
+ * `engines` argument (app.js passes the CDN globals) -- any of them may be
+ * missing.
  *
  * Responsible for:
  *   - Lenis <-> ScrollTrigger integration
  *   - Scroll velocity tracking (fed to the 3D scene for shader distortion)
  *   - Tracking overall scroll progress and feeding it to the 3D scene
- *   - Hero character entrance with staggered rotation + parallax (using fromTo fix)
+ *   - Hero character entrance with staggered rotation + parallax (using fromTo fix),
+ *     optionally held until playEntrance()
  *   - Section reveal animations (.reveal-text, .reveal-up, .section-label)
  *   - Timeline line draw-on-scroll effect
  *   - Horizontal scroll pinning for the projects section
- *   - Side navigation dot activation and click-to-scroll
+ *   - Active section tracking (side-nav dots + the scene's section moods)
+ *   - Palette stops: where each section's colours sit in the overall scroll
+ *     progress, measured from the real section positions (pin spacing
+ *     included) and re-measured on every ScrollTrigger refresh
+ *   - Side navigation click-to-scroll
  *   - Section watermark parallax
+ *   - Reduced-motion mode (native scrolling, instant reveals, projects grid)
+ *
+ * All GSAP animations and ScrollTriggers are created inside a gsap.context()
+ * so they can be reverted and rebuilt when the reduced-motion mode changes,
+ * and destroy() tears everything down for a clean re-initialisation.
+ *
+ * Native mode: without GSAP or ScrollTrigger the same behaviour runs on
+ * IntersectionObservers, a requestAnimationFrame loop reading the native
+ * scroll position (which also drives Lenis, when present) and CSS
+ * transitions. Reveals and the hero entrance add a `.revealed` class over the
+ * hidden states in the stylesheet (html.native-reveals, set by
+ * initRevealAnimations() in fx.js); the projects section sticks with
+ * `position: sticky` (html.projects-sticky) while its track is translated by
+ * the scroll position. The scrubbed hero departure and the watermark
+ * parallax are GSAP-only and simply stay put.
  */
 
+// Where native reveals fire: 85% down the viewport, like ScrollTrigger's 'top 85%'
+const REVEAL_MARGIN = '0px 0px -15% 0px';
+// ...and where sections get .in-view ('top 80%')
+const IN_VIEW_MARGIN = '0px 0px -20% 0px';
+// A line across the middle of the viewport: the section crossing it is active
+const CENTER_LINE_MARGIN = '-50% 0px -50% 0px';
+
 export class ScrollManager {
 
     /**
-     * @param {Object} sceneInstance - A Scene object with setScroll, setVelocity methods.
-     * @param {Object} lenisInstance - A Lenis smooth scroll instance.
+     * @param {Object} sceneInstance - A Scene object with setScroll, setVelocity, setSection and
+     *                               setPaletteStops methods.
+     * @param {Object} [engines] - The animation and scroll libraries; each may be null.
+     * @param {Object} [engines.lenis] - A Lenis smooth scroll instance.
+     * @param {Object} [engines.gsap] - GSAP.
+     * @param {Object} [engines.ScrollTrigger] - GSAP's ScrollTrigger plugin.
+     * @param {Object} [motionPreference] - A MotionPreference (motion.js) to follow.
+     * @param {Object} [options]
+     * @param {boolean} [options.holdEntrance] - Keep the hero hidden until playEntrance().
      */
-    constructor(sceneInstance, lenisInstance) {
+    constructor(sceneInstance, engines = {}, motionPreference, { holdEntrance = false } = {}) {
+        // Keep references to the 3D scene and the engines
+        this.scene = sceneInstance;
+        this.lenis = engines.lenis || null;
+        this.gsap = engines.gsap || null;
+        this.ScrollTrigger = engines.ScrollTrigger || null;
+        this.motion = motionPreference || null;
+
+        // Without both GSAP and ScrollTrigger everything runs in native mode
+        this.native = !(this.gsap && this.ScrollTrigger);
+
         // Register the ScrollTrigger plugin with GSAP
-        gsap.registerPlugin(ScrollTrigger);
+        if (!this.native) this.gsap.registerPlugin(this.ScrollTrigger);
 
-        // Keep references to the 3D scene and Lenis instance
-        this.scene = sceneInstance;
-        this.lenis = lenisInstance;
+        // Reduced-motion mode -- kept in sync with the MotionPreference below
+        this.reducedMotion = this.motion ? this.motion.reduced : false;
+
+        // Set once the hero entrance has played, so a rebuild doesn't replay it
+        this._heroEntered = false;
+
+        // True until playEntrance() when the entrance is held
+        this._entranceHeld = !!holdEntrance;
 
         // Tracks the current overall scroll progress (0 to 1)
         this.scrollProgress = 0;
@@ -37,16 +87,96 @@ export class ScrollManager {
         // Tracks the current scroll velocity
         this.velocity = 0;
 
-        // Connect Lenis to GSAP/ScrollTrigger
-        this._setupLenisIntegration();
+        // The [data-section] currently in view
+        this.activeSection = 'hero';
+
+        // Connect Lenis to GSAP/ScrollTrigger, or start the native loop
+        if (this.native) {
+            this._setupNativeLoop();
+        } else {
+            this._setupLenisIntegration();
+        }
+        this._applyMotionToLenis();
+
+        // Side-nav click handlers live outside the rebuildable context
+        this._setupSideNavClicks();
+
+        // Section positions change on every refresh (resize, fonts, the
+        // projects pin), and the palette stops with them. Native mode
+        // re-measures from its own resize observers
+        if (!this.native) {
+            this._onRefresh = () => this._updatePaletteStops();
+            this.ScrollTrigger.addEventListener('refresh', this._onRefresh);
+        }
 
         // Set up each category of scroll-driven behaviour
-        this._setupScrollProgress();
-        this._setupRevealAnimations();
-        this._setupHeroAnimations();
-        this._setupHorizontalScroll();
-        this._setupWatermarkParallax();
-        this._setupSideNav();
+        this._build();
+
+        // Follow live changes to the reduced-motion mode
+        if (this.motion) {
+            this._unsubscribeMotion = this.motion.onChange((reduced) => this.setReducedMotion(reduced));
+        }
+    }
+
+    /**
+     * Creates every scroll-driven animation inside a fresh gsap.context(),
+     * or the native equivalents.
+     */
+    _build() {
+        document.documentElement.classList.toggle('projects-grid', this.reducedMotion);
+
+        if (this.native) {
+            this._buildNative();
+            return;
+        }
+
+        this._ctx = this.gsap.context(() => {
+            this._setupScrollProgress();
+            this._setupRevealAnimations();
+            this._setupHeroAnimations();
+            this._setupHorizontalScroll();
+            this._setupWatermarkParallax();
+            this._setupSectionTracking();
+        });
+
+        this._updatePaletteStops();
+    }
+
+    // ------------------------------------------------------------------
+    //  Reduced motion
+    // ------------------------------------------------------------------
+
+    /**
+     * Switches reduced-motion mode on or off. Reverts every animation and
+     * ScrollTrigger, then rebuilds them for the new mode.
+     *
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        reduced = !!reduced;
+        if (reduced === this.reducedMotion) return;
+
+        this.reducedMotion = reduced;
+        this._applyMotionToLenis();
+
+        if (this.native) {
+            this._teardownNative();
+            this._build();
+            return;
+        }
+
+        this._ctx.revert();
+        this._build();
+        this.ScrollTrigger.refresh();
+    }
+
+    /**
+     * Lenis reads its options on every wheel event, so toggling smoothWheel
+     * live switches between smoothed and native scrolling.
+     */
+    _applyMotionToLenis() {
+        if (!this.lenis) return;
+        this.lenis.options.smoothWheel = !this.reducedMotion;
     }
 
     // ------------------------------------------------------------------
@@ -62,21 +192,31 @@ export class ScrollManager {
         if (!this.lenis) return;
 
         // Pipe Lenis scroll events into ScrollTrigger
-        this.lenis.on('scroll', ScrollTrigger.update);
+        this.lenis.on('scroll', this.ScrollTrigger.update);
 
         // Drive Lenis's RAF from GSAP's ticker for frame-perfect sync
-        gsap.ticker.add((time) => {
+        // (kept as a reference so destroy() can remove it)
+        this._tick = (time) => {
             this.lenis.raf(time * 1000);
-        });
+        };
+        this.gsap.ticker.add(this._tick);
 
         // Disable GSAP's lag smoothing so Lenis controls the timing
-        gsap.ticker.lagSmoothing(0);
+        this.gsap.ticker.lagSmoothing(0);
 
         // Track velocity from Lenis and feed it to the 3D scene shader
-        this.lenis.on('scroll', (e) => {
-            this.velocity = e.velocity;
-            this.scene.setVelocity(Math.abs(e.velocity) * 0.01);
-        });
+        this._onLenisScroll = (e) => this._setVelocity(e.velocity);
+        this.lenis.on('scroll', this._onLenisScroll);
+    }
+
+    /**
+     * Records the scroll velocity and feeds it to the 3D scene shader.
+     *
+     * @param {number} velocity - Pixels per frame at 60fps, signed
+     */
+    _setVelocity(velocity) {
+        this.velocity = velocity;
+        this.scene.setVelocity(Math.abs(velocity) * 0.01);
     }
 
     // ------------------------------------------------------------------
@@ -90,7 +230,7 @@ export class ScrollManager {
     _setupScrollProgress() {
         const progressBar = document.getElementById('scroll-progress');
 
-        ScrollTrigger.create({
+        this._progressTrigger = this.ScrollTrigger.create({
             trigger: '#main',
             start: 'top top',
             end: 'bottom bottom',
@@ -108,7 +248,7 @@ export class ScrollManager {
         // Add .in-view class to sections for divider line animation
         const sections = document.querySelectorAll('.section');
         sections.forEach((section) => {
-            ScrollTrigger.create({
+            this.ScrollTrigger.create({
                 trigger: section,
                 start: 'top 80%',
                 onEnter: () => section.classList.add('in-view'),
@@ -138,38 +278,19 @@ export class ScrollManager {
 
         // --- Entrance animations (play on load, not scroll-driven) ---
 
-        // Stagger each character in with opacity, y, and rotateX
-        if (chars.length) {
-            gsap.to(chars, {
-                opacity: 1,
-                y: 0,
-                rotateX: 0,
-                duration: 0.8,
-                delay: 0.3,
-                stagger: 0.08,
-                ease: 'power3.out'
-            });
+        // Reduced motion, or a rebuild after the entrance already played:
+        // jump straight to the final state and skip the parallax departure
+        if (this.reducedMotion || this._heroEntered) {
+            if (chars.length) this.gsap.set(chars, { opacity: 1, y: 0, rotateX: 0 });
+            if (heroSubtitle) this.gsap.set(heroSubtitle, { opacity: 1, y: 0 });
+            if (scrollCta) this.gsap.set(scrollCta, { opacity: 1 });
         }
 
-        // Subtitle entrance
-        if (heroSubtitle) {
-            gsap.to(heroSubtitle, {
-                opacity: 1,
-                y: 0,
-                duration: 1,
-                delay: 0.8,
-                ease: 'power3.out'
-            });
-        }
+        if (this.reducedMotion) return;
 
-        // Scroll CTA entrance (appears after everything else)
-        if (scrollCta) {
-            gsap.to(scrollCta, {
-                opacity: 1,
-                duration: 0.8,
-                delay: 1.5,
-                ease: 'power2.out'
-            });
+        // Held until playEntrance()
+        if (!this._heroEntered && !this._entranceHeld) {
+            this._playHeroEntrance(chars, heroSubtitle, scrollCta);
         }
 
         // --- Scroll-driven parallax (scrub) ---
@@ -180,7 +301,7 @@ export class ScrollManager {
         // Each char gets a cascading parallax departure with slight stagger
         if (chars.length) {
             chars.forEach((char, i) => {
-                gsap.fromTo(char,
+                this.gsap.fromTo(char,
                     { yPercent: 0, opacity: 1 },
                     {
                         yPercent: -150,
@@ -201,7 +322,7 @@ export class ScrollManager {
 
         // Subtitle parallax
         if (heroSubtitle) {
-            gsap.fromTo(heroSubtitle,
+            this.gsap.fromTo(heroSubtitle,
                 { yPercent: 0, opacity: 1 },
                 {
                     yPercent: -120,
@@ -219,7 +340,7 @@ export class ScrollManager {
 
         // Scroll CTA fades out quickly as the user begins scrolling
         if (scrollCta) {
-            gsap.fromTo(scrollCta,
+            this.gsap.fromTo(scrollCta,
                 { opacity: 1 },
                 {
                     opacity: 0,
@@ -235,6 +356,74 @@ export class ScrollManager {
         }
     }
 
+    /**
+     * The GSAP hero entrance: characters stagger in with opacity, y and
+     * rotateX, then the subtitle and scroll CTA fade in after.
+     *
+     * @param {NodeList}     chars
+     * @param {Element|null} heroSubtitle
+     * @param {Element|null} scrollCta
+     */
+    _playHeroEntrance(chars, heroSubtitle, scrollCta) {
+        // Stagger each character in with opacity, y, and rotateX
+        if (chars.length) {
+            this.gsap.to(chars, {
+                opacity: 1,
+                y: 0,
+                rotateX: 0,
+                duration: 0.8,
+                delay: 0.3,
+                stagger: 0.08,
+                ease: 'power3.out',
+                onComplete: () => { this._heroEntered = true; }
+            });
+        }
+
+        // Subtitle entrance
+        if (heroSubtitle) {
+            this.gsap.to(heroSubtitle, {
+                opacity: 1,
+                y: 0,
+                duration: 1,
+                delay: 0.8,
+                ease: 'power3.out'
+            });
+        }
+
+        // Scroll CTA entrance (appears after everything else)
+        if (scrollCta) {
+            this.gsap.to(scrollCta, {
+                opacity: 1,
+                duration: 0.8,
+                delay: 1.5,
+                ease: 'power2.out'
+            });
+        }
+    }
+
+    /**
+     * Plays the hero entrance held back by the holdEntrance option -- app.js
+     * holds it while the loader still covers the page and calls this as the
+     * loader fades out. Does nothing otherwise.
+     */
+    playEntrance() {
+        if (!this._entranceHeld) return;
+        this._entranceHeld = false;
+
+        if (this.reducedMotion || this._heroEntered) return;
+
+        if (this.native) {
+            this._setupNativeHero(false);
+            return;
+        }
+
+        this._ctx.add(() => this._playHeroEntrance(
+            document.querySelectorAll('#hero-title > .char'),
+            document.querySelector('#hero-subtitle'),
+            document.querySelector('.scroll-cta')
+        ));
+    }
+
     // ------------------------------------------------------------------
     //  Reveal animations
     // ------------------------------------------------------------------
@@ -245,11 +434,20 @@ export class ScrollManager {
      */
     _setupRevealAnimations() {
 
+        // Reduced motion: everything is simply visible, no scroll reveals
+        if (this.reducedMotion) {
+            this.gsap.set('.reveal-text', { opacity: 1, y: 0, clipPath: 'inset(0% 0 0 0)' });
+            this.gsap.set('.reveal-up', { opacity: 1, y: 0, scale: 1 });
+            this.gsap.set('.section-label', { opacity: 0.7, x: 0, clipPath: 'inset(0 0 0 0%)' });
+            this.gsap.set('.timeline-line', { scaleY: 1, transformOrigin: 'top' });
+            return;
+        }
+
         // --- .reveal-text elements ---
         // Cinematic clip-path reveal: text slides up while mask opens
         const revealTexts = document.querySelectorAll('.reveal-text');
         revealTexts.forEach((el) => {
-            gsap.to(el, {
+            this.gsap.to(el, {
                 opacity: 1,
                 y: 0,
                 clipPath: 'inset(0% 0 0 0)',
@@ -270,7 +468,7 @@ export class ScrollManager {
         // Scale + fade with a snappy ease
         const revealUps = document.querySelectorAll('.reveal-up');
         revealUps.forEach((el) => {
-            gsap.to(el, {
+            this.gsap.to(el, {
                 opacity: 1,
                 y: 0,
                 scale: 1,
@@ -290,7 +488,7 @@ export class ScrollManager {
         // Clip-path slide from left with cyan accent
         const labels = document.querySelectorAll('.section-label');
         labels.forEach((el) => {
-            gsap.to(el, {
+            this.gsap.to(el, {
                 opacity: 0.7,
                 x: 0,
                 clipPath: 'inset(0 0 0 0%)',
@@ -309,9 +507,9 @@ export class ScrollManager {
         const timelineLine = document.querySelector('.timeline-line');
         if (timelineLine) {
             // Ensure the line scales from the top
-            gsap.set(timelineLine, { scaleY: 0, transformOrigin: 'top' });
+            this.gsap.set(timelineLine, { scaleY: 0, transformOrigin: 'top' });
 
-            gsap.to(timelineLine, {
+            this.gsap.to(timelineLine, {
                 scaleY: 1,
                 ease: 'none',
                 scrollTrigger: {
@@ -333,6 +531,23 @@ export class ScrollManager {
      * @param {number} stagger   - delay between siblings in seconds
      */
     _staggerSiblings(selector, stagger) {
+        this._siblingGroups(selector).forEach((children) => {
+            children.forEach((child, i) => {
+                // Add a stagger-based delay on top of its default timing
+                this.gsap.to(child, { delay: i * stagger });
+            });
+        });
+    }
+
+    /**
+     * Helper: the elements matching a selector, grouped by parent. Only
+     * groups of two or more are returned -- a lone element has nothing to
+     * stagger against.
+     *
+     * @param {string} selector
+     * @returns {Element[][]}
+     */
+    _siblingGroups(selector) {
         const grouped = new Map();
 
         document.querySelectorAll(selector).forEach((el) => {
@@ -342,14 +557,7 @@ export class ScrollManager {
             grouped.get(parent).push(el);
         });
 
-        grouped.forEach((children) => {
-            if (children.length < 2) return;
-
-            children.forEach((child, i) => {
-                // Add a stagger-based delay on top of its default timing
-                gsap.to(child, { delay: i * stagger });
-            });
-        });
+        return [...grouped.values()].filter((children) => children.length > 1);
     }
 
     // ------------------------------------------------------------------
@@ -359,14 +567,18 @@ export class ScrollManager {
     /**
      * Pins the projects section and scrolls the .project-track horizontally.
      * The total horizontal scroll distance equals the track's overflow width.
+     * In reduced-motion mode the track stays unpinned and the stylesheet lays
+     * it out as a grid instead (html.projects-grid).
      */
     _setupHorizontalScroll() {
+        if (this.reducedMotion) return;
+
         const projectSection = document.querySelector('.projects-horizontal');
         const projectTrack = document.querySelector('.project-track');
 
         if (!projectSection || !projectTrack) return;
 
-        gsap.to(projectTrack, {
+        this.gsap.to(projectTrack, {
             x: () => -(projectTrack.scrollWidth - window.innerWidth + 100),
             ease: 'none',
             scrollTrigger: {
@@ -388,6 +600,8 @@ export class ScrollManager {
      * as its parent section scrolls through the viewport.
      */
     _setupWatermarkParallax() {
+        if (this.reducedMotion) return;
+
         const watermarks = document.querySelectorAll('.section-watermark');
 
         watermarks.forEach((wm) => {
@@ -395,7 +609,7 @@ export class ScrollManager {
             const parentSection = wm.closest('.section') || wm.parentElement;
             if (!parentSection) return;
 
-            gsap.fromTo(wm,
+            this.gsap.fromTo(wm,
                 { yPercent: -20 },
                 {
                     yPercent: 20,
@@ -416,55 +630,103 @@ export class ScrollManager {
     // ------------------------------------------------------------------
 
     /**
-     * Tracks which section the user is currently viewing and highlights the
-     * corresponding side-nav dot. Also wires up click-to-scroll on dots.
-     * Uses Lenis for smooth scrolling when available.
+     * Tracks which section the user is currently viewing. Each change
+     * highlights the corresponding side-nav dot and tells the 3D scene to
+     * ease toward that section's mood.
      */
-    _setupSideNav() {
-        const dots     = document.querySelectorAll('.side-nav-dot');
-        const sections = document.querySelectorAll('[data-section]');
+    _setupSectionTracking() {
+        const sections = document.querySelectorAll('section[data-section]');
+        this._sectionTriggers = [];
 
-        if (!dots.length || !sections.length) return;
+        if (!sections.length) return;
 
-        // For each section, create a ScrollTrigger that toggles the matching dot
+        // For each section, create a ScrollTrigger that activates it
         sections.forEach((section) => {
             const sectionName = section.getAttribute('data-section');
-            const matchingDot = document.querySelector(
-                `.side-nav-dot[data-section="${sectionName}"]`
-            );
-
-            if (!matchingDot) return;
 
-            ScrollTrigger.create({
+            const trigger = this.ScrollTrigger.create({
                 trigger: section,
                 start: 'top center',
                 end: 'bottom center',
-                onEnter:     () => this._setActiveDot(matchingDot, dots),
-                onEnterBack: () => this._setActiveDot(matchingDot, dots)
+                onEnter:     () => this._setActiveSection(sectionName),
+                onEnterBack: () => this._setActiveSection(sectionName)
             });
+            this._sectionTriggers.push({ name: sectionName, trigger });
         });
+    }
 
-        // Click handlers -- smooth-scroll to the corresponding section
-        dots.forEach((dot) => {
-            dot.addEventListener('click', (e) => {
-                e.preventDefault();
+    /**
+     * Tells the scene where each section's palette belongs in the overall
+     * scroll progress (Scene.setPaletteStops()). Every section gets two
+     * stops, holding its colours from a quarter viewport after it becomes
+     * the active section until a quarter viewport before the next one does,
+     * so the colours change exactly where the content does. Measured from
+     * the section triggers, whose positions include the projects pin's
+     * spacing (in native mode, the measurements of _measureNative()).
+     */
+    _updatePaletteStops() {
+        const main = this._progressTrigger;
+        const sections = this._sectionTriggers;
+        if (!main || !sections || !sections.length) return;
 
-                const targetName = dot.getAttribute('data-section');
-                const targetSection = document.querySelector(
-                    `[data-section="${targetName}"]`
-                );
+        const range = main.end - main.start;
+        if (range <= 0) return;
 
-                if (!targetSection) return;
+        const blend = window.innerHeight * 0.25;
+        const toProgress = (y) => Math.max(0, Math.min(1, (y - main.start) / range));
 
-                // Use Lenis scrollTo if available for consistency with smooth scroll,
-                // otherwise fall back to native scrollIntoView
-                if (this.lenis) {
-                    this.lenis.scrollTo(targetSection, { offset: 0 });
-                } else {
-                    targetSection.scrollIntoView({ behavior: 'smooth' });
-                }
-            });
+        const stops = [];
+        let last = 0;
+        const push = (section, y) => {
+            // Offsets must never decrease
+            last = Math.max(last, toProgress(y));
+            stops.push({ section, offset: last });
+        };
+
+        sections.forEach(({ name, trigger }, i) => {
+            const next = sections[i + 1];
+            const from = i === 0 ? main.start : trigger.start + blend;
+            const to = next ? next.trigger.start - blend : main.end;
+
+            // A section shorter than the blend just peaks at its middle
+            const middle = (from + to) / 2;
+            push(name, Math.min(from, middle));
+            push(name, Math.max(to, middle));
         });
+
+        this.scene.setPaletteStops(stops);
+    }
+
+    /**
+     * Records the active section, syncs the side-nav dots and forwards it to
+     * the scene.
+     *
+     * @param {string} name - the [data-section] value
+     */
+    _setActiveSection(name) {
+        this.activeSection = name;
+
+        const dots = document.querySelectorAll('.side-nav-dot');
+        const matchingDot = document.querySelector(`.side-nav-dot[data-section="${name}"]`);
+        if (matchingDot) this._setActiveDot(matchingDot, dots);
+
+        this.scene.setSection(name);
+    }
+
+    /**
+     * Wires up click-to-scroll on the side-nav dots. Uses Lenis for smooth
+     * scrolling when available, and jumps instantly in reduced-motion mode.
+     */
+    _setupSideNavClicks() {
+        this._dots = document.querySelectorAll('.side-nav-dot');
+
+        // Click handler -- smooth-scroll to the corresponding section
+        this._onDotClick = (e) => {
+            e.preventDefault();
+            this.scrollToSection(e.currentTarget.getAttribute('data-section'));
+        };
+
+        this._dots.forEach((dot) => dot.addEventListener('click', this._onDotClick));
     }
 
     /**
@@ -478,6 +740,300 @@ export class ScrollManager {
         activeDot.classList.add('active');
     }
 
+    // ------------------------------------------------------------------
+    //  Native mode (no GSAP / ScrollTrigger)
+    // ------------------------------------------------------------------
+
+    /**
+     * Starts the requestAnimationFrame loop that stands in for GSAP's ticker
+     * and ScrollTrigger's updates: drives Lenis when there is one, measures
+     * the velocity of native scrolling when there isn't, and applies
+     * everything that follows the scroll position. Runs until destroy().
+     */
+    _setupNativeLoop() {
+        if (this.lenis) {
+            this._onLenisScroll = (e) => this._setVelocity(e.velocity);
+            this.lenis.on('scroll', this._onLenisScroll);
+        }
+
+        this._lastScrollY = window.scrollY;
+        this._lastFrameTime = 0;
+
+        const tick = (time) => {
+            this._frameId = requestAnimationFrame(tick);
+
+            if (this.lenis) {
+                this.lenis.raf(time);
+            } else {
+                // Pixels per frame at 60fps, to match what Lenis reports
+                const elapsed = this._lastFrameTime ? time - this._lastFrameTime : 0;
+                if (elapsed > 0) this._setVelocity((window.scrollY - this._lastScrollY) * (1000 / 60) / elapsed);
+                this._lastScrollY = window.scrollY;
+            }
+            this._lastFrameTime = time;
+
+            this._updateNativeScroll();
+        };
+        this._frameId = requestAnimationFrame(tick);
+    }
+
+    /**
+     * The native counterpart of the gsap.context() in _build(): hero
+     * entrance, reveals, .in-view, section tracking, the timeline line and
+     * the sticky projects track. Undone by _teardownNative().
+     */
+    _buildNative() {
+        const observe = typeof IntersectionObserver !== 'undefined';
+        if (!observe) {
+            console.warn('ScrollManager: IntersectionObserver not supported -- showing all content at once.');
+        }
+        const instant = this.reducedMotion || !observe;
+
+        this._setupNativeHero(instant);
+        this._setupNativeReveals(instant);
+
+        // The scrubbed pieces, positioned by _updateNativeScroll()
+        const timelineLine = document.querySelector('.timeline-line');
+        this._timeline = !instant && timelineLine
+            ? { line: timelineLine, area: timelineLine.closest('.timeline') || timelineLine.parentElement }
+            : null;
+        if (instant && timelineLine) this._reveal(timelineLine, null);
+
+        const projectSection = document.querySelector('.projects-horizontal');
+        const projectInner = projectSection && projectSection.querySelector('.section-inner');
+        const projectTrack = document.querySelector('.project-track');
+        this._projects = !this.reducedMotion && projectInner && projectTrack
+            ? { section: projectSection, inner: projectInner, track: projectTrack, start: 0, distance: 0, shift: null }
+            : null;
+
+        // Section tracking -- the section crossing the middle of the viewport
+        if (observe) {
+            this._sectionObserver = new IntersectionObserver((entries) => {
+                entries.forEach((entry) => {
+                    if (entry.isIntersecting) this._setActiveSection(entry.target.getAttribute('data-section'));
+                });
+            }, { rootMargin: CENTER_LINE_MARGIN });
+            document.querySelectorAll('section[data-section]').forEach((section) => this._sectionObserver.observe(section));
+        }
+
+        // Everything measured from the layout follows resizes, including
+        // content reflowing as fonts load
+        this._onNativeResize = () => this._measureNative();
+        window.addEventListener('resize', this._onNativeResize);
+        if (typeof ResizeObserver !== 'undefined') {
+            const main = document.getElementById('main');
+            this._resizeObserver = new ResizeObserver(this._onNativeResize);
+            if (main) this._resizeObserver.observe(main);
+        }
+
+        this._measureNative();
+    }
+
+    /**
+     * Plays the hero entrance with CSS transitions, using the same delays as
+     * the GSAP version, or shows the hero straight away.
+     *
+     * @param {boolean} instant
+     */
+    _setupNativeHero(instant) {
+        if (this._entranceHeld && !instant) return;
+
+        const chars = document.querySelectorAll('#hero-title > .char');
+        const skip = instant || this._heroEntered;
+
+        chars.forEach((char, i) => this._reveal(char, skip ? null : 0.3 + i * 0.08));
+        this._reveal(document.querySelector('#hero-subtitle'), skip ? null : 0.8);
+        this._reveal(document.querySelector('.scroll-cta'), skip ? null : 1.5);
+
+        this._heroEntered = true;
+    }
+
+    /**
+     * Reveals .reveal-text, .reveal-up and .section-label elements as they
+     * scroll into view, and marks sections .in-view for the divider line.
+     *
+     * @param {boolean} instant - Reveal everything now instead
+     */
+    _setupNativeReveals(instant) {
+        const targets = document.querySelectorAll('.reveal-text, .reveal-up, .section-label');
+
+        if (instant) {
+            targets.forEach((el) => this._reveal(el, null));
+            document.querySelectorAll('.section').forEach((section) => section.classList.add('in-view'));
+            return;
+        }
+
+        // Sibling groups cascade, like _staggerSiblings() in GSAP mode
+        const delays = new Map();
+        [['.reveal-text', 0.2], ['.reveal-up', 0.12]].forEach(([selector, stagger]) => {
+            this._siblingGroups(selector).forEach((children) => {
+                children.forEach((child, i) => delays.set(child, i * stagger));
+            });
+        });
+
+        // Fires once per element. Anything a jump scrolled straight past
+        // (above the viewport) is revealed too, like toggleActions 'play'
+        const onceInView = (callback) => (entries, observer) => {
+            entries.forEach((entry) => {
+                if (!entry.isIntersecting && entry.boundingClientRect.top >= 0) return;
+                observer.unobserve(entry.target);
+                callback(entry.target);
+            });
+        };
+
+        this._revealObserver = new IntersectionObserver(
+            onceInView((el) => this._reveal(el, delays.get(el) || 0)),
+            { rootMargin: REVEAL_MARGIN }
+        );
+        targets.forEach((el) => {
+            if (!el.classList.contains('revealed')) this._revealObserver.observe(el);
+        });
+
+        this._inViewObserver = new IntersectionObserver(
+            onceInView((section) => section.classList.add('in-view')),
+            { rootMargin: IN_VIEW_MARGIN }
+        );
+        document.querySelectorAll('.section').forEach((section) => this._inViewObserver.observe(section));
+    }
+
+    /**
+     * Moves an element from its hidden state to `.revealed`. With a delay
+     * it transitions there (`.revealing` carries the transition and is
+     * dropped once it ends, handing hover transitions back to the element's
+     * own rules); with null it jumps.
+     *
+     * @param {Element|null} el
+     * @param {number|null}  delay - seconds, or null for no transition
+     */
+    _reveal(el, delay) {
+        if (!el || el.classList.contains('revealed')) return;
+
+        if (delay === null) {
+            el.classList.add('revealed');
+            return;
+        }
+
+        el.style.transitionDelay = delay + 's';
+        el.classList.add('revealing', 'revealed');
+
+        const onEnd = (e) => {
+            if (e.target !== el || e.propertyName !== 'opacity') return;
+            el.removeEventListener('transitionend', onEnd);
+            el.classList.remove('revealing');
+            el.style.transitionDelay = '';
+        };
+        el.addEventListener('transitionend', onEnd);
+    }
+
+    /**
+     * Measures everything native mode positions by scroll: the sticky
+     * projects section (sized first, since it moves everything after it),
+     * the page progress range, the section starts for the palette stops and
+     * the timeline scrub range. Stored in the shape the ScrollTriggers have
+     * in GSAP mode, so _updatePaletteStops() reads either.
+     */
+    _measureNative() {
+        const scrollY = window.scrollY;
+        const viewport = window.innerHeight;
+        const pageTop = (el) => el.getBoundingClientRect().top + scrollY;
+
+        const projects = this._projects;
+        if (projects) {
+            projects.distance = projects.track.scrollWidth - window.innerWidth + 100;
+            const sticky = projects.distance > 0;
+
+            // The section is as tall as the pinned inner plus the distance
+            // the track travels, and the inner sticks through that extra
+            document.documentElement.classList.toggle('projects-sticky', sticky);
+            projects.section.style.height = sticky ? (projects.inner.offsetHeight + projects.distance) + 'px' : '';
+            projects.start = pageTop(projects.section);
+        }
+
+        const main = document.getElementById('main');
+        if (main) {
+            const start = pageTop(main);
+            this._progressTrigger = { start, end: start + main.offsetHeight - viewport };
+        }
+
+        this._sectionTriggers = [...document.querySelectorAll('section[data-section]')].map((section) => ({
+            name: section.getAttribute('data-section'),
+            trigger: { start: pageTop(section) - viewport / 2 }
+        }));
+
+        const timeline = this._timeline;
+        if (timeline) {
+            const top = pageTop(timeline.area);
+            timeline.start = top - viewport * 0.8;
+            timeline.end = top + timeline.area.offsetHeight - viewport * 0.6;
+        }
+
+        this._updatePaletteStops();
+        this._updateNativeScroll();
+    }
+
+    /**
+     * Applies the scroll position: overall progress (scene + progress bar),
+     * the projects track offset and the timeline line. Called every frame.
+     */
+    _updateNativeScroll() {
+        const scrollY = window.scrollY;
+        const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+        const main = this._progressTrigger;
+        if (main && main.end > main.start) {
+            const progress = clamp01((scrollY - main.start) / (main.end - main.start));
+            if (progress !== this.scrollProgress) {
+                this.scrollProgress = progress;
+                this.scene.setScroll(progress);
+
+                const progressBar = document.getElementById('scroll-progress');
+                if (progressBar) progressBar.style.width = (progress * 100) + '%';
+            }
+        }
+
+        const projects = this._projects;
+        if (projects) {
+            const shift = projects.distance > 0
+                ? Math.max(0, Math.min(projects.distance, scrollY - projects.start))
+                : 0;
+            if (shift !== projects.shift) {
+                projects.shift = shift;
+                projects.track.style.transform = `translateX(${-shift}px)`;
+            }
+        }
+
+        const timeline = this._timeline;
+        if (timeline && timeline.end > timeline.start) {
+            const scale = clamp01((scrollY - timeline.start) / (timeline.end - timeline.start));
+            timeline.line.style.transform = `scaleY(${scale})`;
+        }
+    }
+
+    /**
+     * Disconnects the observers and listeners of _buildNative() and clears
+     * the inline styles it set. `.revealed` stays, so a rebuild doesn't
+     * replay reveals that already played.
+     */
+    _teardownNative() {
+        [this._revealObserver, this._inViewObserver, this._sectionObserver, this._resizeObserver]
+            .forEach((observer) => { if (observer) observer.disconnect(); });
+        this._revealObserver = this._inViewObserver = this._sectionObserver = this._resizeObserver = null;
+
+        window.removeEventListener('resize', this._onNativeResize);
+
+        if (this._projects) {
+            this._projects.section.style.height = '';
+            this._projects.track.style.transform = '';
+            this._projects = null;
+        }
+        document.documentElement.classList.remove('projects-sticky');
+
+        if (this._timeline) {
+            this._timeline.line.style.transform = '';
+            this._timeline = null;
+        }
+    }
+
     // ------------------------------------------------------------------
     //  Public API
     // ------------------------------------------------------------------
@@ -491,10 +1047,80 @@ export class ScrollManager {
     }
 
     /**
-     * Returns the current scroll velocity from Lenis.
+     * Returns the current scroll velocity -- from Lenis, or measured from
+     * native scrolling (pixels per frame at 60fps).
      * @returns {number}
      */
     getVelocity() {
         return this.velocity || 0;
     }
+
+    /**
+     * Scrolls to a section by its [data-section] name. Uses Lenis when
+     * available for consistency with smooth scroll, otherwise native
+     * scrollIntoView; jumps instantly in reduced-motion mode.
+     *
+     * @param {string} name - e.g. 'projects'
+     */
+    scrollToSection(name) {
+        const targetSection = document.querySelector(`section[data-section="${name}"]`);
+
+        if (!targetSection) return;
+
+        if (this.lenis) {
+            this.lenis.scrollTo(targetSection, { offset: 0, immediate: this.reducedMotion });
+        } else {
+            targetSection.scrollIntoView({ behavior: this.reducedMotion ? 'auto' : 'smooth' });
+        }
+    }
+
+    /**
+     * Returns the [data-section] name currently in view.
+     * @returns {string}
+     */
+    getActiveSection() {
+        return this.activeSection;
+    }
+
+    // ------------------------------------------------------------------
+    //  Cleanup
+    // ------------------------------------------------------------------
+
+    /**
+     * Reverts every animation and ScrollTrigger and removes all listeners
+     * (Lenis, GSAP ticker or the native loop, observers, side-nav dots,
+     * motion preference) so the page can be initialised again from scratch.
+     * The Lenis instance itself belongs to the caller.
+     */
+    destroy() {
+        if (this._unsubscribeMotion) {
+            this._unsubscribeMotion();
+            this._unsubscribeMotion = null;
+        }
+
+        this._dots.forEach((dot) => dot.removeEventListener('click', this._onDotClick));
+        document.documentElement.classList.remove('projects-grid');
+
+        if (this.native) {
+            cancelAnimationFrame(this._frameId);
+            if (this.lenis) this.lenis.off('scroll', this._onLenisScroll);
+            this._teardownNative();
+
+            // Back to the stylesheet's hidden states, as a GSAP revert would
+            document.querySelectorAll('.revealed').forEach((el) => {
+                el.classList.remove('revealed', 'revealing');
+                el.style.transitionDelay = '';
+            });
+            return;
+        }
+
+        if (this.lenis) {
+            this.lenis.off('scroll', this.ScrollTrigger.update);
+            this.lenis.off('scroll', this._onLenisScroll);
+            this.gsap.ticker.remove(this._tick);
+        }
+
+        this.ScrollTrigger.removeEventListener('refresh', this._onRefresh);
+        this._ctx.revert();
+    }
 }
@@ -1,51 +1,108 @@
 /**
  * shaders.js
  * ----------
- * Background shader for the portfolio site.
- * Creates a vivid, living gradient using 6-octave FBM noise with domain warping.
- * Features scroll-driven palette transitions, mouse spotlight, velocity distortion,
- * a subtle breathing pulse, vignette, and film grain.
+ * GLSL shaders for the portfolio site, built from a small library of
+ * reusable chunks.
+ *
+ * ShaderChunks:
+ *   Named GLSL snippets -- hashing, value noise, FBM, domain warping, the
+ *   mood palette, spotlight, vignette, grain, star colour temperature and a
+ *   soft point falloff. A shader pulls one in with a line of the form
+ *
+ *       #include <fbm>
+ *
+ *   and resolveIncludes() splices it in, along with whatever the chunk
+ *   includes itself. Each chunk is emitted once per shader however often it
+ *   is asked for, so chunks can state their own dependencies. Names that
+ *   aren't ours but exist in THREE.ShaderChunk are left for Three.js to
+ *   resolve at compile time.
+ *
+ * Each shader below is { uniforms, vertexShader, fragmentShader } (plus
+ * `defines` where it has any). The `uniforms` object is the template for
+ * every uniform the shader declares, with its default value: Scene clones
+ * it (THREE.UniformsUtils.clone) and only overrides what differs per
+ * instance, so a new uniform is added in exactly one place.
+ *
+ * BackgroundShader:
+ *   Creates a vivid, living gradient using FBM noise (6 octaves at full quality)
+ *   with domain warping.
+ *   Features a per-section palette (stops placed along the page by ScrollManager,
+ *   coloured by Scene from moods.js), mouse spotlight,
+ *   velocity distortion, a subtle breathing pulse, vignette, and film grain.
+ *   The glow pulse and breathing also follow the ambient audio's band
+ *   energies (`audio` = bass, mid, high; all zero when the sound is off).
+ *
+ * BackgroundPresets:
+ *   Alternative fragment shaders for the background plane -- the nebula
+ *   above, aurora ribbons, Voronoi cells, a flow field and a CRT terminal
+ *   grid. They all include <backgroundUniforms>, so they share
+ *   BackgroundShader's vertex shader and uniform template and any of them
+ *   can be swapped in at runtime (Scene crossfades with the `fade` uniform).
+ *
+ * StarFieldShader:
+ *   GPU-animated point stars. Per-star size, colour temperature, twinkle phase
+ *   and parallax depth come from attributes; drift, twinkle, mouse parallax and
+ *   scroll-velocity streaking all happen in the shader, so star count costs
+ *   no CPU time per frame. The audio's high band deepens and brightens the
+ *   twinkle.
+ *
+ * TrailShader:
+ *   Cursor trail points stored in a ring buffer. Each point carries its birth
+ *   time; the shader derives its age, shrinking and fading it (optionally
+ *   shifting from head to tail colour) until it expires.
+ *
+ * ChromaticAberrationShader, RadialBlurShader, ScanlineShader:
+ *   Full-screen post-processing for ShaderPass -- colour fringing, a zoom
+ *   blur and CRT scanlines. passes.js wraps them for Scene's pass stack,
+ *   which drives them from scroll velocity.
  */
 
-export const BackgroundShader = {
-    uniforms: {
-        time: { value: 0.0 },
-        scroll: { value: 0.0 },
-        mouse: { value: [0.0, 0.0] },
-        resolution: { value: [1920, 1080] },
-        velocity: { value: 0.0 }
-    },
-
-    vertexShader: /* glsl */ `
-        varying vec2 vUv;
-
-        void main() {
-            vUv = uv;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-    `,
+import * as THREE from 'three';
 
-    fragmentShader: /* glsl */ `
-        precision highp float;
+// ----------------------------------------------------------------
+// Chunk library
+// ----------------------------------------------------------------
 
+export const ShaderChunks = {
+    // The uniform contract every background preset shares (see
+    // BackgroundShader.uniforms for defaults). `fade` is the preset's alpha
+    // while Scene crossfades to it, 1 otherwise
+    backgroundUniforms: /* glsl */ `
         uniform float time;
         uniform float scroll;
         uniform vec2 mouse;
         uniform vec2 resolution;
         uniform float velocity;
+        uniform float fade;
 
-        varying vec2 vUv;
+        // Ambient audio band energies: x = bass, y = mid, z = high (0-1)
+        uniform vec3 audio;
 
-        // --- Hash and noise utilities ---
+        varying vec2 vUv;
+    `,
 
-        // Fast 2D hash based on sine
+    // Fast 2D hash, 0-1
+    hash: /* glsl */ `
         float hash(vec2 p) {
             vec3 p3 = fract(vec3(p.xyx) * 0.1031);
             p3 += dot(p3, p3.yzx + 33.33);
             return fract((p3.x + p3.y) * p3.z);
         }
+    `,
+
+    // Fast 2D -> 2D hash, each component 0-1
+    hash2: /* glsl */ `
+        vec2 hash2(vec2 p) {
+            vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+            p3 += dot(p3, p3.yzx + 33.33);
+            return fract((p3.xx + p3.yz) * p3.zy);
+        }
+    `,
+
+    // Smooth value noise with quintic interpolation, 0-1
+    noise: /* glsl */ `
+        #include <hash>
 
-        // Smooth value noise with quintic interpolation
         float noise(vec2 p) {
             vec2 i = floor(p);
             vec2 f = fract(p);
@@ -63,8 +120,17 @@ export const BackgroundShader = {
                    (c - a) * u.y * (1.0 - u.x) +
                    (d - b) * u.x * u.y;
         }
+    `,
+
+    // Fractal Brownian Motion. The octave count is a define so Scene's
+    // quality governor can lower it on slow devices (recompiles the program)
+    fbm: /* glsl */ `
+        #include <noise>
+
+        #ifndef FBM_OCTAVES
+        #define FBM_OCTAVES 6
+        #endif
 
-        // Fractal Brownian Motion -- 6 octaves for rich detail
         float fbm(vec2 p) {
             float value = 0.0;
             float amplitude = 0.5;
@@ -73,7 +139,7 @@ export const BackgroundShader = {
             // Rotation matrix to reduce axis-aligned artifacts between octaves
             mat2 rot = mat2(0.80, 0.60, -0.60, 0.80);
 
-            for (int i = 0; i < 6; i++) {
+            for (int i = 0; i < FBM_OCTAVES; i++) {
                 value += amplitude * noise(p * frequency);
                 p = rot * p;
                 frequency *= 2.0;
@@ -81,8 +147,12 @@ export const BackgroundShader = {
             }
             return value;
         }
+    `,
+
+    // Two layers of domain-warped FBM for organic, flowing patterns
+    warpedFbm: /* glsl */ `
+        #include <fbm>
 
-        // Domain-warped FBM for organic, flowing patterns
         float warpedFbm(vec2 p, float t) {
             // First layer of warping
             vec2 q = vec2(
@@ -98,8 +168,193 @@ export const BackgroundShader = {
 
             return fbm(p + 4.0 * r);
         }
+    `,
+
+    // Section mood palettes (moods.js) as stops along the page: stop i holds
+    // from paletteStopOffsets[i] in scroll progress, blending into stop i+1
+    // up to its offset. samplePalette() resolves them into the four palette
+    // colours every preset uses; paletteColor() is the base colour they
+    // produce -- highlight mixed into the base by noise, the accent in the
+    // high-noise regions. themeExposure scales the finished colour -- low in
+    // the dark theme so white text stays readable
+    palette: /* glsl */ `
+        #ifndef MAX_PALETTE_STOPS
+            #define MAX_PALETTE_STOPS 16
+        #endif
+
+        uniform int paletteStopCount;
+        uniform float paletteStopOffsets[MAX_PALETTE_STOPS];
+        uniform vec3 paletteStopBase[MAX_PALETTE_STOPS];
+        uniform vec3 paletteStopHighlight[MAX_PALETTE_STOPS];
+        uniform vec3 paletteStopGlow[MAX_PALETTE_STOPS];
+        uniform vec3 paletteStopAccent[MAX_PALETTE_STOPS];
+        uniform float themeExposure;
+
+        vec3 paletteBase;
+        vec3 paletteHighlight;
+        vec3 paletteGlow;
+        vec3 paletteAccent;
+
+        void samplePalette(float position) {
+            paletteBase = paletteStopBase[0];
+            paletteHighlight = paletteStopHighlight[0];
+            paletteGlow = paletteStopGlow[0];
+            paletteAccent = paletteStopAccent[0];
+
+            for (int i = 1; i < MAX_PALETTE_STOPS; i++) {
+                if (i >= paletteStopCount) break;
+
+                // 0 before the previous stop, 1 from this one on
+                float from = paletteStopOffsets[i - 1];
+                float to = paletteStopOffsets[i];
+                float t = to > from ? smoothstep(from, to, position) : step(to, position);
+
+                paletteBase = mix(paletteBase, paletteStopBase[i], t);
+                paletteHighlight = mix(paletteHighlight, paletteStopHighlight[i], t);
+                paletteGlow = mix(paletteGlow, paletteStopGlow[i], t);
+                paletteAccent = mix(paletteAccent, paletteStopAccent[i], t);
+            }
+        }
+
+        vec3 paletteColor(float noiseMix, float accentStrength) {
+            return mix(paletteBase, paletteHighlight, noiseMix * 0.45) +
+                   paletteAccent * accentStrength * 0.25;
+        }
+    `,
+
+    // Gaussian falloff around a point, 1 at the centre
+    spotlight: /* glsl */ `
+        float spotlight(vec2 uv, vec2 center, float sharpness) {
+            float d = distance(uv, center);
+            return exp(-d * d * sharpness);
+        }
+    `,
+
+    // Darkening toward the edges of a 0-1 uv square
+    vignette: /* glsl */ `
+        float vignette(vec2 uv) {
+            vec2 v = uv * (1.0 - uv);
+            return clamp(pow(v.x * v.y * 15.0, 0.2), 0.0, 1.0);
+        }
+    `,
+
+    // Per-pixel film grain that changes every frame
+    grain: /* glsl */ `
+        #include <hash>
+
+        float grain(vec2 uv, vec2 resolution, float time) {
+            return hash(uv * resolution + fract(time));
+        }
+    `,
+
+    // Blackbody-ish ramp: warm orange -> white -> cool blue (t = 0, 0.5, 1)
+    temperatureColor: /* glsl */ `
+        vec3 temperatureColor(float t) {
+            vec3 warm  = vec3(1.0, 0.72, 0.52);
+            vec3 white = vec3(0.92, 0.94, 1.0);
+            vec3 cool  = vec3(0.58, 0.70, 1.0);
+            return t < 0.5 ? mix(warm, white, t * 2.0) : mix(white, cool, t * 2.0 - 1.0);
+        }
+    `,
+
+    // Round point sprite alpha: 1 inside `inner` (as a fraction of the
+    // radius), easing to 0 at the edge. `c` is gl_PointCoord - 0.5
+    softPoint: /* glsl */ `
+        float softPoint(vec2 c, float inner) {
+            return 1.0 - smoothstep(inner, 1.0, length(c) * 2.0);
+        }
+    `
+};
+
+const INCLUDE_PATTERN = /^[ \t]*#include\s+<([\w-]+)>[ \t]*$/gm;
+
+/**
+ * Splice ShaderChunks into a GLSL source wherever it says `#include <name>`,
+ * recursively. Every chunk is emitted at most once. Three.js chunk names are
+ * left in place for Three.js to resolve.
+ * @param {string} source
+ * @param {Object} [chunks] - Chunk library to resolve against
+ * @returns {string}
+ * @throws {Error} For an include that names no chunk here or in Three.js
+ */
+export function resolveIncludes(source, chunks = ShaderChunks) {
+    const included = new Set();
+
+    const resolve = (text) => text.replace(INCLUDE_PATTERN, (line, name) => {
+        if (!Object.prototype.hasOwnProperty.call(chunks, name)) {
+            if (name in THREE.ShaderChunk) return line;
+            throw new Error(`shaders.js: Unknown shader chunk <${name}>.`);
+        }
+        if (included.has(name)) return '';
+
+        // Marked before recursing, so a cycle ends instead of looping
+        included.add(name);
+        return resolve(chunks[name]);
+    });
+
+    return resolve(source);
+}
+
+// ----------------------------------------------------------------
+// Shaders
+// ----------------------------------------------------------------
+
+// Size of the background's palette stop arrays (see the palette chunk)
+export const MAX_PALETTE_STOPS = 16;
+
+/**
+ * A palette stop array, every entry set to one colour.
+ * @returns {THREE.Color[]}
+ */
+function paletteStops(r, g, b) {
+    return Array.from({ length: MAX_PALETTE_STOPS }, () => new THREE.Color(r, g, b));
+}
+
+export const BackgroundShader = {
+    uniforms: {
+        time: { value: 0.0 },
+        scroll: { value: 0.0 },
+        mouse: { value: new THREE.Vector2(0.0, 0.0) },
+        resolution: { value: new THREE.Vector2(1920, 1080) },
+        velocity: { value: 0.0 },
+        paletteStopCount: { value: 1 },
+        paletteStopOffsets: { value: new Array(MAX_PALETTE_STOPS).fill(0) },
+        paletteStopBase: { value: paletteStops(0.02, 0.02, 0.08) },
+        paletteStopHighlight: { value: paletteStops(0.1, 0.13, 0.25) },
+        paletteStopGlow: { value: paletteStops(0.0, 0.15, 0.2) },
+        paletteStopAccent: { value: paletteStops(0.1, 0.02, 0.15) },
+        themeExposure: { value: 0.7 },
+        audio: { value: new THREE.Vector3(0.0, 0.0, 0.0) },
+        fade: { value: 1.0 }
+    },
+
+    defines: {
+        FBM_OCTAVES: 6,
+        MAX_PALETTE_STOPS
+    },
+
+    vertexShader: /* glsl */ `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: resolveIncludes(/* glsl */ `
+        precision highp float;
+
+        #include <backgroundUniforms>
+        #include <warpedFbm>
+        #include <palette>
+        #include <spotlight>
+        #include <vignette>
+        #include <grain>
 
         void main() {
+            samplePalette(scroll);
+
             vec2 uv = vUv;
             float aspect = resolution.x / resolution.y;
 
@@ -116,38 +371,18 @@ export const BackgroundShader = {
             float n2 = warpedFbm(p * 2.0 + vec2(3.14, 2.72), t * 0.7);
             float noiseMix = n1 * 0.6 + n2 * 0.4;
 
-            // --- Scroll-driven color palette ---
-            // Vivid colors with strong accents while keeping the dark aesthetic
-            vec3 colA = vec3(0.02, 0.02, 0.08);  // Deep navy base
-            vec3 colB = vec3(0.03, 0.08, 0.12);   // Teal accent -- more saturated
-            vec3 colC = vec3(0.08, 0.03, 0.13);   // Purple accent -- stronger
-            vec3 colD = vec3(0.04, 0.04, 0.11);   // Deep blue-purple for the end
-
-            // Smoothly blend between palette stops based on scroll
-            vec3 scrollColor;
-            if (scroll < 0.3) {
-                scrollColor = mix(colA, colB, scroll / 0.3);
-            } else if (scroll < 0.6) {
-                scrollColor = mix(colB, colC, (scroll - 0.3) / 0.3);
-            } else {
-                scrollColor = mix(colC, colD, (scroll - 0.6) / 0.4);
-            }
-
-            // Brighter highlight color mixed in by noise
-            vec3 highlight = vec3(0.1, 0.13, 0.25);
-            vec3 color = mix(scrollColor, highlight, noiseMix * 0.45);
-
-            // --- Cyan glow pulse ---
-            // A subtle pulsing cyan undertone that breathes with time
-            vec3 cyanGlow = vec3(0.0, 0.15, 0.2);
-            float cyanPulse = 0.5 + 0.5 * sin(time * 0.3);
-            color += cyanGlow * cyanPulse * 0.12;
+            // --- Section mood palette ---
+            // Base colour tweened per section by Scene (moods.js), with the
+            // brighter highlight colour mixed in by noise and the accent
+            // (purple by default) in regions of high noise values
+            float accentStrength = smoothstep(0.45, 0.7, n1);
+            vec3 color = paletteColor(noiseMix, accentStrength);
 
-            // --- Purple accent from noise ---
-            // Purple appears in regions of high noise values
-            vec3 purpleAccent = vec3(0.1, 0.02, 0.15);
-            float purpleStrength = smoothstep(0.45, 0.7, n1);
-            color += purpleAccent * purpleStrength * 0.25;
+            // --- Glow pulse ---
+            // A subtle pulsing (cyan by default) undertone that breathes with
+            // time, and swells with the bass drone when the audio is on
+            float glowPulse = 0.5 + 0.5 * sin(time * 0.3);
+            color += paletteGlow * (glowPulse * 0.12 + audio.x * 0.15);
 
             // --- Warm highlight driven by secondary noise layer ---
             float warmNoise = fbm(p * 3.0 + t * 0.2);
@@ -157,34 +392,556 @@ export const BackgroundShader = {
             // --- Mouse spotlight ---
             // Stronger, cyan-tinted Gaussian spotlight following the cursor
             vec2 mousePos = mouse * 0.5 + 0.5; // convert from [-1,1] to [0,1]
-            float mouseDist = distance(uv, mousePos);
-            float spotlight = exp(-mouseDist * mouseDist * 6.0);
-            // Cyan-tinted spotlight light
-            color += vec3(0.05, 0.08, 0.12) * spotlight;
+            color += vec3(0.05, 0.08, 0.12) * spotlight(uv, mousePos, 6.0);
 
             // --- Subtle breathing / pulse ---
-            // Slow sine-based brightness modulation across the entire image
-            color += 0.01 * sin(time * 0.5);
+            // Slow sine-based brightness modulation across the entire image,
+            // lifted by the mid band
+            color += 0.01 * sin(time * 0.5) + audio.y * 0.02;
 
-            // --- Overall darken for text readability ---
-            // Keep the shader interesting but dark enough for white text
-            color *= 0.7;
+            // --- Theme exposure ---
+            // The dark theme keeps the shader interesting but dark enough for
+            // white text (--scene-exposure in style.css)
+            color *= themeExposure;
 
             // --- Vignette ---
             // Darken edges for a natural, cinematic feel
-            vec2 vignetteUv = uv * (1.0 - uv);
-            float vignette = vignetteUv.x * vignetteUv.y * 15.0;
-            vignette = clamp(pow(vignette, 0.2), 0.0, 1.0);
-            color *= vignette;
+            color *= vignette(uv);
 
             // --- Subtle grain for texture ---
-            float grain = hash(uv * resolution + fract(time)) * 0.012;
-            color += grain;
+            color += grain(uv, resolution, time) * 0.012;
 
             // Clamp to ensure we stay in valid range
             color = clamp(color, 0.0, 1.0);
 
-            gl_FragColor = vec4(color, 1.0);
+            gl_FragColor = vec4(color, fade);
+        }
+    `)
+};
+
+/**
+ * Background presets, keyed by the names accepted by the `background` option
+ * (BACKGROUND_PRESETS in options.js). Each is a fragment shader for
+ * BackgroundShader's vertex shader and uniforms; all follow the section
+ * palette, darken for text readability and finish with vignette and grain
+ * like the nebula does.
+ */
+export const BackgroundPresets = {
+    // Domain-warped FBM nebula -- the original background
+    nebula: BackgroundShader.fragmentShader,
+
+    // Curtains of light hanging across the upper half, rippling in the noise
+    aurora: resolveIncludes(/* glsl */ `
+        precision highp float;
+
+        #include <backgroundUniforms>
+        #include <noise>
+        #include <palette>
+        #include <spotlight>
+        #include <vignette>
+        #include <grain>
+
+        void main() {
+            samplePalette(scroll);
+
+            vec2 uv = vUv;
+            float aspect = resolution.x / resolution.y;
+            float t = time * 0.15;
+
+            // Sky: base colour, a touch lighter toward the horizon
+            vec3 color = mix(paletteHighlight, paletteBase, smoothstep(0.0, 0.8, uv.y) * 0.6 + 0.4);
+
+            // Ribbons drift down the page as it is scrolled
+            float x = uv.x * aspect;
+            for (int i = 0; i < 3; i++) {
+                float fi = float(i);
+                float center = 0.62 - fi * 0.1 + scroll * 0.15
+                    + 0.08 * sin(x * (1.1 + fi * 0.4) + t * (2.0 + fi))
+                    + 0.12 * (noise(vec2(x * 1.5 + fi * 7.0, t)) - 0.5);
+
+                // Scrolling stretches the curtains vertically
+                float width = 0.025 + 0.02 * fi + velocity * 0.03;
+                float d = (uv.y - center) / width;
+
+                // Bright lower edge fading upward, broken into vertical rays
+                float curtain = exp(-d * d) + smoothstep(0.0, 4.0, d) * exp(-d * 0.35) * 0.5;
+                float rays = 0.55 + 0.45 * noise(vec2(x * 24.0 + fi * 3.0, t * 3.0));
+
+                vec3 tint = mix(paletteGlow, paletteAccent, fi * 0.5) * 1.6;
+                color += tint * curtain * rays * (0.35 + audio.x * 0.3);
+            }
+
+            // --- Mouse spotlight ---
+            color += vec3(0.05, 0.08, 0.12) * spotlight(uv, mouse * 0.5 + 0.5, 6.0);
+
+            // --- Breathing ---
+            color += 0.01 * sin(time * 0.5) + audio.y * 0.02;
+
+            color *= themeExposure;
+            color *= vignette(uv);
+            color += grain(uv, resolution, time) * 0.012;
+
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), fade);
+        }
+    `),
+
+    // Slowly shifting Voronoi cells with glowing borders
+    voronoi: resolveIncludes(/* glsl */ `
+        precision highp float;
+
+        #include <backgroundUniforms>
+        #include <hash>
+        #include <hash2>
+        #include <palette>
+        #include <spotlight>
+        #include <vignette>
+        #include <grain>
+
+        void main() {
+            samplePalette(scroll);
+
+            vec2 uv = vUv;
+            float aspect = resolution.x / resolution.y;
+            float t = time * 0.15;
+
+            // About five cells down the screen; scrolling pans the pattern
+            vec2 p = vec2(uv.x * aspect, uv.y + scroll * 1.5) * 5.0;
+            vec2 cell = floor(p);
+            vec2 f = fract(p);
+
+            // Nearest (f1) and second nearest (f2) feature points
+            float f1 = 8.0;
+            float f2 = 8.0;
+            vec2 nearest = vec2(0.0);
+            for (int y = -1; y <= 1; y++) {
+                for (int x = -1; x <= 1; x++) {
+                    vec2 offset = vec2(float(x), float(y));
+                    vec2 h = hash2(cell + offset);
+                    vec2 point = offset + 0.5 + 0.4 * sin(t * 2.0 + 6.2831 * h);
+                    float d = length(point - f);
+                    if (d < f1) {
+                        f2 = f1;
+                        f1 = d;
+                        nearest = cell + offset;
+                    } else if (d < f2) {
+                        f2 = d;
+                    }
+                }
+            }
+
+            // Cells: each its own blend of base and highlight, brighter inward
+            float shade = hash(nearest);
+            vec3 color = mix(paletteBase, paletteHighlight, shade * 0.6) * (1.2 - f1 * 0.5);
+            color += paletteAccent * step(0.85, shade) * 0.3;
+
+            // Borders, thickened and brightened by scroll velocity and bass
+            float border = 1.0 - smoothstep(0.0, 0.06 + velocity * 0.08, f2 - f1);
+            color += paletteGlow * border * (0.6 + audio.x * 0.5);
+
+            // --- Mouse spotlight (lights the borders more than the cells) ---
+            float spot = spotlight(uv, mouse * 0.5 + 0.5, 6.0);
+            color += vec3(0.05, 0.08, 0.12) * spot * (1.0 + border * 2.0);
+
+            // --- Breathing ---
+            color += 0.01 * sin(time * 0.5) + audio.y * 0.02;
+
+            color *= themeExposure;
+            color *= vignette(uv);
+            color += grain(uv, resolution, time) * 0.012;
+
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), fade);
+        }
+    `),
+
+    // Streaks following a slowly turning noise flow field (line integral
+    // convolution: fine noise smeared along the field lines)
+    flow: resolveIncludes(/* glsl */ `
+        precision highp float;
+
+        #include <backgroundUniforms>
+        #include <noise>
+        #include <palette>
+        #include <spotlight>
+        #include <vignette>
+        #include <grain>
+
+        float flowAngle(vec2 p, float t) {
+            return (noise(p * 1.2 + t) * 2.0 + noise(p * 2.7 - t)) * 3.1416;
+        }
+
+        void main() {
+            samplePalette(scroll);
+
+            vec2 uv = vUv;
+            float aspect = resolution.x / resolution.y;
+            float t = time * 0.05;
+
+            vec2 p = vec2(uv.x * aspect, uv.y + scroll);
+
+            // Walk along the field, sampling fine noise; scrolling lengthens the walk
+            float stepLength = 0.006 * (1.0 + velocity * 3.0);
+            vec2 q = p;
+            float streak = 0.0;
+            for (int i = 0; i < 12; i++) {
+                float a = flowAngle(q, t);
+                q += vec2(cos(a), sin(a)) * stepLength;
+                streak += noise(q * 90.0);
+            }
+            streak /= 12.0;
+
+            float field = flowAngle(p, t) / 9.4248; // 0-1
+
+            vec3 color = mix(paletteBase, paletteHighlight, field * 0.6);
+            color += paletteGlow * smoothstep(0.45, 0.8, streak) * (0.5 + audio.x * 0.4);
+            color += paletteAccent * smoothstep(0.6, 0.9, field) * 0.25;
+
+            // --- Mouse spotlight ---
+            color += vec3(0.05, 0.08, 0.12) * spotlight(uv, mouse * 0.5 + 0.5, 6.0);
+
+            // --- Breathing ---
+            color += 0.01 * sin(time * 0.5) + audio.y * 0.02;
+
+            color *= themeExposure;
+            color *= vignette(uv);
+            color += grain(uv, resolution, time) * 0.012;
+
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), fade);
+        }
+    `),
+
+    // Phosphor terminal: a curved CRT with a scrolling grid, blinking
+    // activity cells, scanlines and a rolling refresh bar
+    grid: resolveIncludes(/* glsl */ `
+        precision highp float;
+
+        #include <backgroundUniforms>
+        #include <hash>
+        #include <palette>
+        #include <spotlight>
+        #include <vignette>
+        #include <grain>
+
+        // Distance to the nearest grid line, in cells
+        float gridLine(vec2 p) {
+            vec2 g = abs(fract(p) - 0.5);
+            return 0.5 - max(g.x, g.y);
+        }
+
+        void main() {
+            samplePalette(scroll);
+
+            // Barrel distortion, as on a curved tube
+            vec2 centered = vUv - 0.5;
+            vec2 uv = vUv + centered * dot(centered, centered) * 0.12;
+            float aspect = resolution.x / resolution.y;
+
+            // Cells about 48px tall; scrolling moves the grid up the screen
+            vec2 p = vec2(uv.x * aspect, uv.y - scroll * 2.0) * (resolution.y / 48.0);
+
+            // Lines about a pixel wide (a cell is 48px), blurred wider while
+            // scrolling fast; a major line every fourth cell
+            float minor = 1.0 - smoothstep(0.0, (1.0 + velocity * 3.0) / 48.0, gridLine(p));
+            float major = 1.0 - smoothstep(0.0, 1.5 / 48.0, gridLine(p / 4.0) * 4.0);
+
+            vec3 color = paletteBase;
+            color += paletteGlow * (minor * 0.35 + major * 0.6);
+
+            // Activity: a few cells blink on a beat, bass makes it busier
+            vec2 cell = floor(p);
+            float blink = step(0.97 - audio.x * 0.04, hash(cell + floor(time * 2.0)));
+            color += mix(paletteGlow, paletteAccent, hash(cell)) * blink * 0.5;
+
+            // Scanlines and the rolling refresh bar
+            color *= 0.85 + 0.15 * sin(uv.y * resolution.y * 3.1416);
+            float bar = fract(uv.y - time * 0.08);
+            color += paletteGlow * smoothstep(0.9, 1.0, bar) * 0.15;
+
+            // --- Mouse spotlight ---
+            color += paletteGlow * spotlight(uv, mouse * 0.5 + 0.5, 8.0) * (0.15 + major * 0.4);
+
+            // --- Breathing ---
+            color += 0.01 * sin(time * 0.5) + audio.y * 0.02;
+
+            color *= themeExposure;
+            color *= vignette(clamp(uv, 0.0, 1.0));
+            color += grain(uv, resolution, time) * 0.02;
+
+            // Black outside the tube's bezel
+            vec2 inside = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+            color *= inside.x * inside.y;
+
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), fade);
+        }
+    `)
+};
+
+export const StarFieldShader = {
+    uniforms: {
+        time: { value: 0.0 },
+        velocity: { value: 0.0 },
+        mouse: { value: new THREE.Vector2(0.0, 0.0) },
+        parallax: { value: 1.0 },
+        scale: { value: 540.0 },
+        pixelRatio: { value: 1.0 },
+        opacity: { value: 0.4 },
+        tint: { value: new THREE.Color(0.53, 0.6, 0.8) },
+        audioHigh: { value: 0.0 }
+    },
+
+    vertexShader: resolveIncludes(/* glsl */ `
+        uniform float time;
+        uniform float velocity;
+        uniform vec2 mouse;
+        uniform float parallax;
+        uniform float scale;
+        uniform float pixelRatio;
+        uniform vec3 tint;
+        uniform float audioHigh;
+
+        attribute float size;         // world-space size multiplier
+        attribute float temperature;  // 0 = warm, 0.5 = white, 1 = blue
+        attribute float phase;        // twinkle phase offset (radians)
+        attribute float depth;        // 0 = far, 1 = near
+
+        varying vec3 vColor;
+        varying float vTwinkle;
+        varying float vStreak;
+
+        #include <temperatureColor>
+
+        void main() {
+            vec3 p = position;
+
+            // Slow drift of the whole field (same rates the CPU rotation used)
+            float ay = time * 0.01;
+            float ax = time * 0.005;
+            p.xz = mat2(cos(ay), -sin(ay), sin(ay), cos(ay)) * p.xz;
+            p.yz = mat2(cos(ax), sin(ax), -sin(ax), cos(ax)) * p.yz;
+
+            // Mouse parallax -- near stars shift more than far ones
+            // (same direction convention as the wireframe parallax)
+            p.xy += mouse * depth * 1.5 * parallax;
+
+            vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+
+            // Streaks grow with scroll velocity, more for near stars
+            vStreak = clamp(velocity * 2.0, 0.0, 1.0) * (0.4 + 0.6 * depth);
+
+            // Size attenuation like PointsMaterial, stretched while streaking
+            gl_PointSize = size * pixelRatio * (scale / -mvPosition.z) * (1.0 + vStreak * 3.0);
+
+            // Each star twinkles at its own rate and phase; the audio's high
+            // band makes the twinkle deeper and the peaks brighter
+            float twinkleDepth = 0.35 + 0.3 * audioHigh;
+            vTwinkle = (1.0 - twinkleDepth + twinkleDepth * sin(time * (0.6 + phase * 0.25) + phase)) *
+                       (1.0 + audioHigh * 0.5);
+
+            // Pull toward the configured tint (cool blue by default) so the
+            // field stays on palette
+            vColor = mix(temperatureColor(temperature), tint, 0.45);
+        }
+    `),
+
+    fragmentShader: resolveIncludes(/* glsl */ `
+        uniform float opacity;
+
+        varying vec3 vColor;
+        varying float vTwinkle;
+        varying float vStreak;
+
+        #include <softPoint>
+
+        void main() {
+            vec2 c = gl_PointCoord - 0.5;
+
+            // Squeeze horizontally while streaking -> thin vertical streak
+            c.x *= 1.0 + vStreak * 3.0;
+
+            // Soft round falloff
+            float alpha = softPoint(c, 0.0);
+            if (alpha <= 0.0) discard;
+
+            // Streaks spread the same light over a longer shape, so dim them
+            alpha *= opacity * vTwinkle / (1.0 + vStreak);
+
+            gl_FragColor = vec4(vColor, alpha);
+        }
+    `)
+};
+
+export const TrailShader = {
+    uniforms: {
+        time: { value: 0.0 },
+        lifetime: { value: 0.8 },
+        size: { value: 2.0 },
+        scale: { value: 540.0 },
+        pixelRatio: { value: 1.0 },
+        opacity: { value: 0.25 },
+        colorHead: { value: new THREE.Color(0.3, 0.8, 1.0) },
+        colorTail: { value: new THREE.Color(0.3, 0.8, 1.0) }
+    },
+
+    vertexShader: /* glsl */ `
+        uniform float time;
+        uniform float lifetime;
+        uniform float size;
+        uniform float scale;
+        uniform float pixelRatio;
+
+        attribute float birth;  // trail clock time the point was emitted
+
+        varying float vLife;    // 1 when emitted -> 0 when expired
+
+        void main() {
+            float age = time - birth;
+            vLife = clamp(1.0 - age / lifetime, 0.0, 1.0);
+
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            gl_Position = projectionMatrix * mvPosition;
+
+            // Shrink with age; expired points collapse to nothing
+            gl_PointSize = vLife > 0.0
+                ? size * pixelRatio * (scale / -mvPosition.z) * (0.3 + 0.7 * vLife)
+                : 0.0;
+        }
+    `,
+
+    fragmentShader: resolveIncludes(/* glsl */ `
+        uniform float opacity;
+        uniform vec3 colorHead;
+        uniform vec3 colorTail;
+
+        varying float vLife;
+
+        #include <softPoint>
+
+        void main() {
+            if (vLife <= 0.0) discard;
+
+            // Soft round point
+            float alpha = softPoint(gl_PointCoord - 0.5, 0.5);
+
+            // Colour gradient along the trail (head and tail are equal when
+            // no gradient is configured)
+            vec3 color = mix(colorTail, colorHead, vLife);
+
+            gl_FragColor = vec4(color, alpha * opacity * vLife);
+        }
+    `)
+};
+
+// ----------------------------------------------------------------
+// Post-processing (ShaderPass shaders, see passes.js)
+// ----------------------------------------------------------------
+
+// Shared by the passes below: ShaderPass draws a full-screen quad
+const fullscreenVertexShader = /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+export const ChromaticAberrationShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.0 }
+    },
+
+    vertexShader: fullscreenVertexShader,
+
+    // Red and blue pulled apart radially -- nothing at the centre, most at
+    // the corners, like a cheap lens
+    fragmentShader: /* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+
+        varying vec2 vUv;
+
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount;
+            vec4 color = texture2D(tDiffuse, vUv);
+
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+
+            gl_FragColor = color;
+        }
+    `
+};
+
+export const RadialBlurShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        strength: { value: 0.0 },
+        center: { value: new THREE.Vector2(0.5, 0.5) }
+    },
+
+    defines: {
+        RADIAL_BLUR_SAMPLES: 8
+    },
+
+    vertexShader: fullscreenVertexShader,
+
+    // Zoom blur: samples along the line to `center`, spread over `strength`
+    // of the distance, so the edges smear and the middle stays sharp
+    fragmentShader: /* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform float strength;
+        uniform vec2 center;
+
+        varying vec2 vUv;
+
+        void main() {
+            vec2 toPixel = vUv - center;
+            vec4 sum = vec4(0.0);
+
+            for (int i = 0; i < RADIAL_BLUR_SAMPLES; i++) {
+                float scale = 1.0 - strength * float(i) / float(RADIAL_BLUR_SAMPLES - 1);
+                sum += texture2D(tDiffuse, center + toPixel * scale);
+            }
+
+            gl_FragColor = sum / float(RADIAL_BLUR_SAMPLES);
         }
     `
 };
+
+export const ScanlineShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        intensity: { value: 0.0 },
+        time: { value: 0.0 },
+        resolution: { value: new THREE.Vector2(1920, 1080) }
+    },
+
+    vertexShader: fullscreenVertexShader,
+
+    // Dark lines every third device pixel, a bright band rolling up the
+    // screen and a little grain -- all scaled by `intensity`
+    fragmentShader: resolveIncludes(/* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform float intensity;
+        uniform float time;
+        uniform vec2 resolution;
+
+        varying vec2 vUv;
+
+        #include <grain>
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+
+            float line = 0.5 + 0.5 * sin(gl_FragCoord.y * 2.0944);
+            float band = smoothstep(0.9, 1.0, sin(vUv.y * 3.0 - time * 2.0));
+
+            color.rgb *= 1.0 - intensity * 0.35 * line;
+            color.rgb += color.rgb * band * intensity * 0.15;
+            color.rgb += (grain(vUv, resolution, time) - 0.5) * intensity * 0.04;
+
+            gl_FragColor = color;
+        }
+    `)
+};
@@ -0,0 +1,249 @@
+/**
+ * theme.js
+ * --------
+ * Light/dark theme shared by the stylesheet and the 3D background.
+ *
+ * Follows the `prefers-color-scheme` media query live, and lets the visitor
+ * override it with the #theme-toggle button. The override is persisted in
+ * localStorage so it survives across visits (same rules as motion.js).
+ *
+ * The effective theme is written to <html data-theme="dark|light">, and
+ * style.css turns that into custom properties. Those are the single source
+ * of truth for colours -- including the `--scene-*` properties the
+ * background is drawn with:
+ *   --scene-base, --scene-highlight,
+ *   --scene-glow, --scene-accent    -- the hero section's palette (moods.js);
+ *                                      other sections keep their offset from it
+ *   --scene-exposure                -- multiplier on the shader's output
+ *   --scene-bloom                   -- multiplier on the bloom strength
+ *
+ * readSceneTheme() reads them back into the plain object Scene.setTheme()
+ * takes. It has to run on the main thread, so a worker scene is handed the
+ * values rather than reading them itself.
+ *
+ * During a switch <html> carries `.theme-transition`, which cross-fades the
+ * page's colours; the scene eases its palette over about the same time.
+ *
+ * No external dependencies.
+ */
+
+const STORAGE_KEY = 'theme-preference';
+const MEDIA_QUERY = '(prefers-color-scheme: light)';
+
+// How long <html> keeps .theme-transition -- matches the CSS transition
+const TRANSITION_MS = 800;
+
+const PALETTE_PROPERTIES = {
+    base: '--scene-base',
+    highlight: '--scene-highlight',
+    glow: '--scene-glow',
+    accent: '--scene-accent'
+};
+
+export class ThemePreference {
+    /**
+     * @param {HTMLElement} [toggleButton] - The #theme-toggle DOM element.
+     */
+    constructor(toggleButton) {
+        this.toggleButton = toggleButton || null;
+        this._listeners = new Set();
+        this._transitionTimer = null;
+
+        // Live system preference
+        this._media = window.matchMedia ? window.matchMedia(MEDIA_QUERY) : null;
+        this._handleMediaChange = () => this._update();
+        if (this._media) {
+            this._media.addEventListener('change', this._handleMediaChange);
+        }
+
+        // Persisted user override: 'dark', 'light' or null (follow the system)
+        this.override = this._readOverride();
+
+        // Bind the click handler so it can be removed later if needed
+        this._handleClick = () => this.toggle();
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', this._handleClick);
+        }
+
+        this.theme = this._resolve();
+        this._applyToDocument();
+    }
+
+    // -------------------------------------------------------
+    // Public API
+    // -------------------------------------------------------
+
+    /**
+     * Registers a callback fired with the new theme name ('dark' or 'light')
+     * whenever the effective theme changes. By then the stylesheet already
+     * reflects it, so readSceneTheme() returns the new values.
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * Sets (and persists) a user override.
+     * @param {'dark'|'light'|null} value - null clears it and follows the system again
+     */
+    setOverride(value) {
+        this.override = value === 'dark' || value === 'light' ? value : null;
+
+        try {
+            if (this.override) {
+                localStorage.setItem(STORAGE_KEY, this.override);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (_) {
+            // Storage can be unavailable (private mode, blocked cookies) --
+            // the override still applies for this visit
+        }
+
+        this._update();
+    }
+
+    /**
+     * Switches to the other theme. If that lands back on what the system
+     * asks for, the override is cleared instead of stored.
+     */
+    toggle() {
+        const want = this.theme === 'light' ? 'dark' : 'light';
+        this.setOverride(want === this._systemTheme() ? null : want);
+    }
+
+    /**
+     * Removes listeners so the instance can be garbage-collected.
+     */
+    destroy() {
+        if (this._media) {
+            this._media.removeEventListener('change', this._handleMediaChange);
+        }
+        if (this.toggleButton) {
+            this.toggleButton.removeEventListener('click', this._handleClick);
+        }
+        clearTimeout(this._transitionTimer);
+        this._listeners.clear();
+    }
+
+    // -------------------------------------------------------
+    // Internal helpers
+    // -------------------------------------------------------
+
+    _readOverride() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'dark' || stored === 'light' ? stored : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    _systemTheme() {
+        return this._media && this._media.matches ? 'light' : 'dark';
+    }
+
+    _resolve() {
+        return this.override || this._systemTheme();
+    }
+
+    _update() {
+        const theme = this._resolve();
+        if (theme === this.theme) return;
+
+        this.theme = theme;
+        this._startTransition();
+        this._applyToDocument();
+        this._listeners.forEach((callback) => callback(theme));
+    }
+
+    /**
+     * Let the page's colours cross-fade for one switch. Only during a switch,
+     * so hover transitions and the like keep their own timing otherwise.
+     */
+    _startTransition() {
+        const root = document.documentElement;
+        root.classList.add('theme-transition');
+
+        clearTimeout(this._transitionTimer);
+        this._transitionTimer = setTimeout(() => root.classList.remove('theme-transition'), TRANSITION_MS);
+    }
+
+    _applyToDocument() {
+        document.documentElement.dataset.theme = this.theme;
+
+        if (this.toggleButton) {
+            const label = this.theme === 'light' ? 'Switch to dark theme' : 'Switch to light theme';
+            this.toggleButton.classList.toggle('active', this.theme === 'light');
+            this.toggleButton.setAttribute('aria-pressed', String(this.theme === 'light'));
+            this.toggleButton.title = label;
+            this.toggleButton.setAttribute('aria-label', label);
+        }
+    }
+}
+
+// ----------------------------------------------------------------
+// Reading the scene colours from the stylesheet
+// ----------------------------------------------------------------
+
+/**
+ * Parse a computed custom property holding a colour (`#rgb`, `#rrggbb` or
+ * `rgb()`) into linear [r, g, b] in 0-1.
+ * @param {string} value
+ * @returns {number[]|null} null if the value isn't a colour in those forms
+ */
+function parseColor(value) {
+    const text = value.trim();
+    let bytes = null;
+
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, (d) => d + d) : hex[1];
+        const n = parseInt(digits, 16);
+        bytes = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(text);
+    if (rgb) bytes = rgb.slice(1, 4).map(Number);
+
+    if (!bytes) return null;
+
+    // sRGB -> linear, which is what the shader palette works in
+    return bytes.map((byte) => {
+        const c = Math.min(255, byte) / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+}
+
+/**
+ * Read the current theme's `--scene-*` custom properties.
+ * @param {Element} [element] - Where to read them (defaults to <html>)
+ * @returns {Object|null} { palette: { base, highlight, glow, accent }, exposure, bloom }
+ *                        with linear [r, g, b] colours -- or null if a property
+ *                        is missing or malformed, which Scene.setTheme() treats
+ *                        as "use the built-in dark look"
+ */
+export function readSceneTheme(element = document.documentElement) {
+    const style = getComputedStyle(element);
+    const palette = {};
+
+    for (const [key, property] of Object.entries(PALETTE_PROPERTIES)) {
+        palette[key] = parseColor(style.getPropertyValue(property));
+        if (!palette[key]) {
+            console.warn(`readSceneTheme: ${property} is missing or not a #hex/rgb() colour -- using the default scene colours.`);
+            return null;
+        }
+    }
+
+    const exposure = parseFloat(style.getPropertyValue('--scene-exposure'));
+    const bloom = parseFloat(style.getPropertyValue('--scene-bloom'));
+    if (!Number.isFinite(exposure) || !Number.isFinite(bloom)) {
+        console.warn('readSceneTheme: --scene-exposure or --scene-bloom is missing -- using the default scene colours.');
+        return null;
+    }
+
+    return { palette, exposure, bloom };
+}
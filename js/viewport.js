@@ -0,0 +1,89 @@
+/**
+ * viewport.js
+ * -----------
+ * Watches the size and pixel density of an element for the renderers.
+ *
+ * Reports { width, height, pixelRatio } whenever:
+ *   - The element's CSS box changes size (ResizeObserver, or the window
+ *     `resize` event where ResizeObserver is missing)
+ *   - window.devicePixelRatio changes -- moving the window to a monitor with
+ *     a different density, or zooming. Detected with a
+ *     `(resolution: Ndppx)` media query that is re-armed after every change.
+ *
+ * ResizeObserver already delivers at most one notification per frame;
+ * Scene additionally coalesces whatever arrives into one resize per frame.
+ *
+ * No external dependencies.
+ */
+
+export class ViewportObserver {
+    /**
+     * @param {HTMLElement} element  - Element whose CSS box is the viewport
+     * @param {Function}    onChange - Called with { width, height, pixelRatio }
+     */
+    constructor(element, onChange) {
+        this.element = element;
+        this.onChange = onChange;
+
+        this.width = element.clientWidth || window.innerWidth;
+        this.height = element.clientHeight || window.innerHeight;
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        // Size
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver((entries) => {
+                const rect = entries[entries.length - 1].contentRect;
+                this._update(rect.width, rect.height);
+            });
+            this._resizeObserver.observe(element);
+        } else {
+            this._onWindowResize = () => this._update(window.innerWidth, window.innerHeight);
+            window.addEventListener('resize', this._onWindowResize);
+        }
+
+        // Pixel density
+        this._onPixelRatioChange = () => {
+            this._watchPixelRatio();
+            this._update(this.width, this.height);
+        };
+        this._watchPixelRatio();
+    }
+
+    /**
+     * Listen for the current devicePixelRatio to stop matching. A media
+     * query can only describe one value, so this is re-armed on every change.
+     */
+    _watchPixelRatio() {
+        if (this._pixelRatioQuery) {
+            this._pixelRatioQuery.removeEventListener('change', this._onPixelRatioChange);
+        }
+        if (!window.matchMedia) return;
+
+        this._pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this._pixelRatioQuery.addEventListener('change', this._onPixelRatioChange);
+    }
+
+    _update(width, height) {
+        // Collapsed or detached elements report 0 -- nothing to render into
+        if (!(width > 0 && height > 0)) return;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.onChange({ width, height, pixelRatio });
+    }
+
+    /**
+     * Stops observing.
+     */
+    destroy() {
+        if (this._resizeObserver) this._resizeObserver.disconnect();
+        if (this._onWindowResize) window.removeEventListener('resize', this._onWindowResize);
+        if (this._pixelRatioQuery) {
+            this._pixelRatioQuery.removeEventListener('change', this._onPixelRatioChange);
+        }
+    }
+}
@@ -0,0 +1,643 @@
+/**
+ * worker-scene.js
+ * ---------------
+ * Main-thread proxy that renders the 3D background in a Web Worker.
+ *
+ * WorkerScene has the same public API as Scene (scene.js), but transfers the
+ * canvas to an OffscreenCanvas and forwards every call as a message to
+ * scene-worker.js, so the Three.js scene and bloom composer stop competing
+ * with Lenis, ScrollTrigger and the cursor for the main thread.
+ *
+ * Messages to the worker ({ type, ...payload }):
+ *   init          -- { canvas, options, viewport }, the OffscreenCanvas is transferred
+ *   mouse         -- { x, y }
+ *   scroll        -- { progress }
+ *   velocity      -- { value }
+ *   section       -- { name }
+ *   paletteStops  -- { stops }, see Scene.setPaletteStops()
+ *   previews      -- { views }, the card rects (see Scene.setPreviews())
+ *   audio         -- { bands }, { bass, mid, high } or null
+ *   theme         -- { theme }, from readSceneTheme() (theme.js) or null
+ *   reducedMotion -- { reduced }
+ *   uniform       -- { name, value } (already validated here), see Scene.setUniformOverride()
+ *   configure     -- { options } (already validated here)
+ *   addPass       -- { name, index, enabled } (already validated here)
+ *   removePass    -- { name }
+ *   passEnabled   -- { name, enabled }
+ *   renderAt      -- { frame } (already validated here), see Scene.renderAt()
+ *   resume        -- {}
+ *   compile       -- {}, see Scene.compile()
+ *   click         -- {}
+ *   resize        -- { width, height, pixelRatio }
+ *   capture       -- { id, width, height, scale }
+ *   destroy       -- {}
+ *
+ * Messages from the worker:
+ *   ready          -- { tier } once the scene is built
+ *   compiled       -- {} or { error }, answering a compile message
+ *   firstFrame     -- {} once the first frame is rendered
+ *   quality        -- { tier } whenever the quality tier changes
+ *   wireframeclick -- { detail }, re-dispatched as a CustomEvent on the canvas
+ *   capture        -- { id, blob } or { id, error }, answering a capture message
+ *   error          -- { message }
+ *
+ * If the worker fails before it is ready (no WebGL in workers, import maps
+ * not applied to workers, ...) the canvas is swapped for a fresh element and
+ * a main-thread Scene takes over transparently (or FallbackScene, if WebGL
+ * doesn't work on the main thread either). Use WorkerScene.isSupported() to
+ * decide whether to try at all.
+ *
+ * The placeholder <canvas> stays in the page, so its size and pixel density
+ * are observed here (viewport.js) and forwarded as resize messages.
+ *
+ * Card preview rects are measured on the main thread and posted every
+ * frame; the worker draws them on its own frame, so they can trail the
+ * DOM by a frame while the track scrolls.
+ *
+ * record() needs canvas.captureStream(), which OffscreenCanvas lacks, so it
+ * is only available once a main-thread fallback has taken over.
+ */
+
+import { Scene } from './scene.js';
+import { FallbackScene } from './fallback-scene.js';
+import { resolveSceneOptions, resolveUniformOverride, resolveFrame } from './options.js';
+import { DEFAULT_SECTION } from './moods.js';
+import { POST_PASSES, DEFAULT_POST_PASSES } from './passes.js';
+import { ViewportObserver } from './viewport.js';
+
+export class WorkerScene {
+
+    /**
+     * Whether this browser can render a canvas from a worker.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas  - The <canvas id="bg"> element
+     * @param {Object}            [options] - Partial options, see options.js.
+     *                                        Validated here, so errors throw synchronously.
+     */
+    constructor(canvas, options = {}) {
+        if (!canvas) {
+            console.warn('WorkerScene: No canvas element provided. Aborting initialization.');
+            this.enabled = false;
+            return;
+        }
+
+        this.options = resolveSceneOptions(options);
+
+        this.enabled = true;
+        this.canvas = canvas;
+
+        // Last known state, replayed into a main-thread Scene on fallback
+        this.scrollProgress = 0;
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.activeSection = DEFAULT_SECTION;
+        this.reducedMotion = false;
+        this.theme = null;
+        this.paletteStops = [];
+        this.uniformOverrides = new Map();
+        this.frozenFrame = null;
+
+        // Mirror of the worker's post-processing stack, so the pass methods
+        // can answer synchronously
+        this.postPasses = DEFAULT_POST_PASSES.map((name) => ({ name, enabled: true }));
+        this.bloomEnabled = true;
+
+        // Whether the last previews message had anything on screen
+        this._previewsVisible = false;
+
+        // Last audio bands posted, as "bass,mid,high"
+        this._audioKey = '0,0,0';
+
+        // Set once the worker reports its scene is built
+        this.ready = false;
+        this._tier = null;
+
+        // Loading milestones (see compile() and firstFrame()), resolved by
+        // the worker or, after a fallback, by the fallback scene
+        this._compileRequested = false;
+        this._compiled = new Promise((resolve, reject) => {
+            this._resolveCompiled = resolve;
+            this._rejectCompiled = reject;
+        });
+        this._firstFrame = new Promise((resolve) => { this._resolveFirstFrame = resolve; });
+
+        // Main-thread Scene used when the worker can't render
+        this.fallback = null;
+
+        // capture() promises waiting for the worker, keyed by request id
+        this._captures = new Map();
+        this._captureId = 0;
+
+        this._onMessage = (e) => this._handleMessage(e.data);
+        this._onError = (e) => {
+            e.preventDefault();
+            this._handleError(e.message || 'worker failed to load');
+        };
+
+        this.worker = new Worker(new URL('./scene-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', this._onMessage);
+        this.worker.addEventListener('error', this._onError);
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options: this.options,
+            viewport: {
+                width: canvas.clientWidth || window.innerWidth,
+                height: canvas.clientHeight || window.innerHeight,
+                pixelRatio: window.devicePixelRatio
+            }
+        }, [offscreen]);
+
+        this.viewportObserver = new ViewportObserver(canvas, (v) => this.resize(v.width, v.height, v.pixelRatio));
+    }
+
+    // ----------------------------------------------------------------
+    // Worker messages
+    // ----------------------------------------------------------------
+
+    _handleMessage(data) {
+        switch (data.type) {
+            case 'ready':
+                this.ready = true;
+                this._tier = data.tier;
+                break;
+
+            case 'compiled':
+                if (data.error) this._rejectCompiled(new Error('WorkerScene: ' + data.error));
+                else this._resolveCompiled();
+                break;
+
+            case 'firstFrame':
+                this._resolveFirstFrame();
+                break;
+
+            case 'quality':
+                this._tier = data.tier;
+                break;
+
+            case 'wireframeclick':
+                this.canvas.dispatchEvent(new CustomEvent('wireframeclick', { detail: data.detail }));
+                break;
+
+            case 'capture': {
+                const pending = this._captures.get(data.id);
+                if (!pending) break;
+
+                this._captures.delete(data.id);
+                if (data.error) pending.reject(new Error(data.error));
+                else pending.resolve(data.blob);
+                break;
+            }
+
+            case 'error':
+                this._handleError(data.message);
+                break;
+        }
+    }
+
+    /**
+     * Reject every capture still waiting for the worker.
+     * @param {string} reason
+     */
+    _rejectCaptures(reason) {
+        this._captures.forEach((pending) => pending.reject(new Error('WorkerScene: ' + reason)));
+        this._captures.clear();
+    }
+
+    /**
+     * Errors during startup mean the worker path doesn't work in this
+     * browser -- fall back. Later errors are reported but not fatal.
+     * @param {string} message
+     */
+    _handleError(message) {
+        if (this.ready || this.fallback) {
+            console.error('WorkerScene: ' + message);
+            return;
+        }
+
+        console.warn('WorkerScene: Worker rendering failed (' + message + ') -- falling back to the main thread.');
+        this._rejectCaptures('worker failed before the capture was taken.');
+        this._terminate();
+        this._startFallback();
+    }
+
+    _terminate() {
+        this.worker.removeEventListener('message', this._onMessage);
+        this.worker.removeEventListener('error', this._onError);
+        this.worker.terminate();
+    }
+
+    // ----------------------------------------------------------------
+    // Main-thread fallback
+    // ----------------------------------------------------------------
+
+    /**
+     * Render on the main thread instead. The original canvas belongs to the
+     * OffscreenCanvas for good, so a fresh element takes its place; clicks on
+     * it are re-dispatched on the original so existing listeners keep working.
+     */
+    _startFallback() {
+        // The fallback observes its own canvas
+        this.viewportObserver.destroy();
+
+        const fresh = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(fresh);
+
+        this._onFallbackClick = (e) => {
+            this.canvas.dispatchEvent(new CustomEvent('wireframeclick', { detail: e.detail }));
+        };
+        fresh.addEventListener('wireframeclick', this._onFallbackClick);
+
+        try {
+            this.fallback = new Scene(fresh, this.options);
+        } catch (err) {
+            console.error('WorkerScene: Main-thread scene failed too -- using the static background.', err);
+
+            // The failed attempt may have claimed the context -- start over
+            const spare = fresh.cloneNode(false);
+            fresh.replaceWith(spare);
+            this.fallback = new FallbackScene(spare, this.options);
+        }
+
+        this.fallback.setReducedMotion(this.reducedMotion);
+        this.fallback.setTheme(this.theme);
+        this.fallback.setPaletteStops(this.paletteStops);
+        this.uniformOverrides.forEach((value, name) => this.fallback.setUniformOverride(name, value));
+
+        // Rebuild the stack as it was: drop the defaults, re-add in order
+        DEFAULT_POST_PASSES.forEach((name) => this.fallback.removePass(name));
+        this.postPasses.forEach(({ name, enabled }) => this.fallback.addPass(name, { enabled }));
+        this.fallback.setPassEnabled('bloom', this.bloomEnabled);
+        this.fallback.setSection(this.activeSection);
+        this.fallback.setScroll(this.scrollProgress);
+        this.fallback.setMouse(this.mouseX, this.mouseY);
+        if (this.frozenFrame) this.fallback.renderAt(this.frozenFrame);
+
+        if (this._compileRequested) this.fallback.compile().then(this._resolveCompiled, this._rejectCompiled);
+        this.fallback.firstFrame().then(this._resolveFirstFrame);
+    }
+
+    /**
+     * Post a message to the worker, unless it has been replaced.
+     * @param {Object} message
+     */
+    _post(message) {
+        if (!this.enabled || this.fallback) return;
+        this.worker.postMessage(message);
+    }
+
+    // ----------------------------------------------------------------
+    // Public API (mirrors Scene)
+    // ----------------------------------------------------------------
+
+    /**
+     * @param {number} progress - Value between 0 (top) and 1 (bottom)
+     */
+    setScroll(progress) {
+        this.scrollProgress = Math.max(0, Math.min(1, progress));
+        if (this.fallback) return this.fallback.setScroll(progress);
+        this._post({ type: 'scroll', progress: this.scrollProgress });
+    }
+
+    /**
+     * Only posts when the position actually changed -- this is called
+     * every frame.
+     * @param {number} x - Normalized x, range -1 to 1
+     * @param {number} y - Normalized y, range -1 to 1
+     */
+    setMouse(x, y) {
+        if (this.fallback) return this.fallback.setMouse(x, y);
+        if (x === this.mouseX && y === this.mouseY) return;
+
+        this.mouseX = x;
+        this.mouseY = y;
+        this._post({ type: 'mouse', x, y });
+    }
+
+    /**
+     * @param {string} name - A [data-section] value, e.g. 'projects'
+     */
+    setSection(name) {
+        if (this.fallback) return this.fallback.setSection(name);
+        if (!this.enabled || !this.options.moods[name]) return;
+
+        this.activeSection = name;
+        this._post({ type: 'section', name });
+    }
+
+    /**
+     * @param {Array<{section: string, offset: number}>} stops
+     */
+    setPaletteStops(stops) {
+        this.paletteStops = Array.isArray(stops) ? stops.map(({ section, offset }) => ({ section, offset })) : [];
+        if (this.fallback) return this.fallback.setPaletteStops(stops);
+        this._post({ type: 'paletteStops', stops: this.paletteStops });
+    }
+
+    /**
+     * The worker can't read the stylesheet, so the theme arrives as values.
+     * @param {Object|null} theme - See Scene.setTheme()
+     */
+    setTheme(theme) {
+        this.theme = theme || null;
+        if (this.fallback) return this.fallback.setTheme(theme);
+        this._post({ type: 'theme', theme: this.theme });
+    }
+
+    /**
+     * Validated on the main thread so an invalid frame throws here. The
+     * worker draws it on receipt, not synchronously.
+     * @param {Object} [frame] - See Scene.renderAt()
+     */
+    renderAt(frame) {
+        if (this.fallback) return this.fallback.renderAt(frame);
+        if (!this.enabled) return;
+
+        this.frozenFrame = resolveFrame(frame);
+        this._post({ type: 'renderAt', frame: this.frozenFrame });
+    }
+
+    /**
+     * See Scene.resume().
+     */
+    resume() {
+        if (this.fallback) return this.fallback.resume();
+
+        this.frozenFrame = null;
+        this._post({ type: 'resume' });
+    }
+
+    /**
+     * The hit test runs in the worker, so the result isn't known yet: a hit
+     * arrives later as a `wireframeclick` event on the canvas.
+     * @returns {boolean} Always false in worker mode
+     */
+    handleClick() {
+        if (this.fallback) return this.fallback.handleClick();
+        this._post({ type: 'click' });
+        return false;
+    }
+
+    /**
+     * Posted every frame while any preview is on screen, plus once more when
+     * the last one leaves so the worker stops drawing it.
+     * @param {Array<Object>} views - { type, x, y, width, height } per card
+     */
+    setPreviews(views) {
+        if (this.fallback) return this.fallback.setPreviews(views);
+
+        const visible = (views || []).some((v) =>
+            v.x + v.width > 0 && v.y + v.height > 0 && v.x < window.innerWidth && v.y < window.innerHeight);
+        if (!visible && !this._previewsVisible) return;
+
+        this._previewsVisible = visible;
+        this._post({ type: 'previews', views });
+    }
+
+    /**
+     * Only posts when the bands changed -- this is called every frame, and
+     * the bands sit at zero whenever the audio is off.
+     * @param {{bass: number, mid: number, high: number}|null} bands
+     */
+    setAudioBands(bands) {
+        if (this.fallback) return this.fallback.setAudioBands(bands);
+
+        const key = bands ? `${bands.bass},${bands.mid},${bands.high}` : '0,0,0';
+        if (key === this._audioKey) return;
+
+        this._audioKey = key;
+        this._post({ type: 'audio', bands: bands && { bass: bands.bass, mid: bands.mid, high: bands.high } });
+    }
+
+    /**
+     * @param {number} v - Absolute velocity value, normalized (e.g. 0 to ~1)
+     */
+    setVelocity(v) {
+        if (this.fallback) return this.fallback.setVelocity(v);
+        if (this.reducedMotion) return;
+        this._post({ type: 'velocity', value: v });
+    }
+
+    /**
+     * @param {boolean} reduced
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = !!reduced;
+        if (this.fallback) return this.fallback.setReducedMotion(reduced);
+        this._post({ type: 'reducedMotion', reduced: this.reducedMotion });
+    }
+
+    /**
+     * Validated on the main thread so invalid values throw here.
+     * @param {string} name
+     * @param {number|number[]|null} value - See Scene.setUniformOverride()
+     */
+    setUniformOverride(name, value) {
+        if (this.fallback) return this.fallback.setUniformOverride(name, value);
+        if (!this.enabled) return;
+
+        const values = resolveUniformOverride(name, value);
+        if (values) this.uniformOverrides.set(name, values);
+        else this.uniformOverrides.delete(name);
+        this._post({ type: 'uniform', name, value: values });
+    }
+
+    /**
+     * Validated on the main thread so invalid options throw here.
+     * @param {Object} partialOptions
+     */
+    configure(partialOptions) {
+        if (this.fallback) return this.fallback.configure(partialOptions);
+        if (!this.enabled) return;
+
+        this.options = resolveSceneOptions(partialOptions, this.options);
+        this._post({ type: 'configure', options: partialOptions });
+    }
+
+    /**
+     * See Scene.addPass().
+     * @param {string} name
+     * @param {Object} [opts] - { index, enabled }
+     * @returns {boolean}
+     */
+    addPass(name, { index, enabled = true } = {}) {
+        if (this.fallback) return this.fallback.addPass(name, { index, enabled });
+        if (!this.enabled) return false;
+
+        if (!POST_PASSES[name]) {
+            console.warn(`WorkerScene: Unknown post-processing pass "${name}" -- expected one of ${Object.keys(POST_PASSES).join(', ')}.`);
+            return false;
+        }
+        if (this.postPasses.some((entry) => entry.name === name)) return false;
+
+        const stack = this.postPasses;
+        const at = index === undefined ? stack.length : Math.max(0, Math.min(index, stack.length));
+        stack.splice(at, 0, { name, enabled: !!enabled });
+
+        this._post({ type: 'addPass', name, index: at, enabled: !!enabled });
+        return true;
+    }
+
+    /**
+     * See Scene.removePass().
+     * @param {string} name
+     * @returns {boolean}
+     */
+    removePass(name) {
+        if (this.fallback) return this.fallback.removePass(name);
+
+        const index = this.postPasses.findIndex((entry) => entry.name === name);
+        if (!this.enabled || index === -1) return false;
+
+        this.postPasses.splice(index, 1);
+        this._post({ type: 'removePass', name });
+        return true;
+    }
+
+    /**
+     * See Scene.setPassEnabled().
+     * @param {string}  name
+     * @param {boolean} enabled
+     * @returns {boolean}
+     */
+    setPassEnabled(name, enabled) {
+        if (this.fallback) return this.fallback.setPassEnabled(name, enabled);
+        if (!this.enabled) return false;
+
+        if (name === 'bloom') {
+            this.bloomEnabled = !!enabled;
+        } else {
+            const entry = this.postPasses.find((e) => e.name === name);
+            if (!entry) return false;
+            entry.enabled = !!enabled;
+        }
+
+        this._post({ type: 'passEnabled', name, enabled: !!enabled });
+        return true;
+    }
+
+    /**
+     * See Scene.getPasses().
+     * @returns {Array<{name: string, enabled: boolean}>}
+     */
+    getPasses() {
+        if (this.fallback) return this.fallback.getPasses();
+
+        return [
+            { name: 'bloom', enabled: this.bloomEnabled },
+            ...this.postPasses.map(({ name, enabled }) => ({ name, enabled }))
+        ];
+    }
+
+    /**
+     * The worker's quality tier as last reported, or null before it is ready.
+     * @returns {Object|null}
+     */
+    get qualityTier() {
+        if (this.fallback) return this.fallback.qualityTier;
+        return this.enabled ? this._tier : null;
+    }
+
+    /**
+     * Render a PNG still in the worker (see Scene.capture()).
+     * @param {Object} [opts] - { width, height, scale }
+     * @returns {Promise<Blob>}
+     */
+    capture(opts = {}) {
+        if (this.fallback) return this.fallback.capture(opts);
+        if (!this.enabled) return Promise.reject(new Error('WorkerScene: Scene has been destroyed.'));
+
+        const id = ++this._captureId;
+        return new Promise((resolve, reject) => {
+            this._captures.set(id, { resolve, reject });
+            this._post({ type: 'capture', id, width: opts.width, height: opts.height, scale: opts.scale });
+        });
+    }
+
+    /**
+     * Only possible on the main thread (see the header).
+     * @param {Object} [opts] - { duration, fps }
+     * @returns {Promise<Blob>}
+     */
+    record(opts) {
+        if (this.fallback) return this.fallback.record(opts);
+        return Promise.reject(new Error('WorkerScene: Recording is unavailable while rendering in a worker -- reload with ?render=main.'));
+    }
+
+    /**
+     * Compile the shaders in the worker (see Scene.compile()).
+     * @returns {Promise<void>}
+     */
+    compile() {
+        if (!this.enabled) return Promise.resolve();
+
+        if (!this._compileRequested) {
+            this._compileRequested = true;
+            if (this.fallback) this.fallback.compile().then(this._resolveCompiled, this._rejectCompiled);
+            else this._post({ type: 'compile' });
+        }
+        return this._compiled;
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once the worker (or the fallback)
+     *                          has rendered a frame
+     */
+    firstFrame() {
+        if (!this.enabled) return Promise.resolve();
+        return this._firstFrame;
+    }
+
+    /**
+     * No-op -- the worker runs its own animation loop. Kept so WorkerScene
+     * can stand in for Scene.
+     */
+    update() {
+        if (this.fallback) this.fallback.update();
+    }
+
+    /**
+     * @param {number} width        - New viewport width in CSS pixels
+     * @param {number} height       - New viewport height in CSS pixels
+     * @param {number} [pixelRatio] - Defaults to window.devicePixelRatio
+     */
+    resize(width, height, pixelRatio = window.devicePixelRatio) {
+        if (this.fallback) return this.fallback.resize(width, height, pixelRatio);
+        this._post({ type: 'resize', width, height, pixelRatio });
+    }
+
+    /**
+     * Tear down the worker's scene (it closes itself afterwards), or the
+     * fallback Scene.
+     */
+    destroy() {
+        if (!this.enabled) return;
+
+        if (this.fallback) {
+            this.fallback.canvas.removeEventListener('wireframeclick', this._onFallbackClick);
+            this.fallback.destroy();
+        } else {
+            this.viewportObserver.destroy();
+            this._rejectCaptures('scene destroyed before the capture was taken.');
+            this.worker.postMessage({ type: 'destroy' });
+            this.worker.removeEventListener('message', this._onMessage);
+            this.worker.removeEventListener('error', this._onError);
+        }
+
+        // Nothing will answer now -- don't leave a loader waiting
+        this._resolveCompiled();
+        this._resolveFirstFrame();
+        this.enabled = false;
+    }
+}